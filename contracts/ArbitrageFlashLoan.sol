@@ -1,13 +1,43 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
 import "@aave/core-v3/contracts/flashloan/base/FlashLoanSimpleReceiverBase.sol";
 import "@aave/core-v3/contracts/interfaces/IPoolAddressesProvider.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+// DEX router interfaces
+interface IUniswapV2Router {
+    function swapExactTokensForTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external returns (uint[] memory amounts);
+
+    function getAmountsOut(uint amountIn, address[] calldata path)
+        external view returns (uint[] memory amounts);
+}
+
+interface IUniswapV3Router {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params)
+        external payable returns (uint256 amountOut);
+}
 
 /**
  * @title ArbitrageFlashLoan
@@ -22,14 +52,16 @@ contract ArbitrageFlashLoan is
 {
     using SafeERC20 for IERC20;
 
+    // One leg of a hop; a hop split across pools is consecutive legs with the same tokens
     struct SwapParams {
         uint8 dexId;
         address tokenIn;
         address tokenOut;
         uint256 amountIn;
         uint256 amountOutMin;
-        uint256 deadline;
+        uint256 deadlineBlock; // Last block the leg may execute in
         bytes extraData; // For V3 fee tiers, etc.
+        uint16 shareBps; // Share of the hop's input this leg swaps; a hop's legs sum to 10000
     }
 
     struct DexConfig {
@@ -80,39 +112,12 @@ contract ArbitrageFlashLoan is
     
     uint256 public constant MAX_SLIPPAGE = 1000; // 10% max slippage
     uint256 public constant MIN_PROFIT_THRESHOLD = 1e15; // 0.001 ETH minimum profit
+    uint256 public constant MAX_HOPS = 10;
+    uint256 public constant MAX_LEGS = 30;
+    uint16 public constant FULL_SHARE = 10000; // Basis points
     uint256 public totalArbitrages;
     uint256 public totalProfit;
 
-    // DEX router interfaces
-    interface IUniswapV2Router {
-        function swapExactTokensForTokens(
-            uint amountIn,
-            uint amountOutMin,
-            address[] calldata path,
-            address to,
-            uint deadline
-        ) external returns (uint[] memory amounts);
-
-        function getAmountsOut(uint amountIn, address[] calldata path)
-            external view returns (uint[] memory amounts);
-    }
-
-    interface IUniswapV3Router {
-        struct ExactInputSingleParams {
-            address tokenIn;
-            address tokenOut;
-            uint24 fee;
-            address recipient;
-            uint256 deadline;
-            uint256 amountIn;
-            uint256 amountOutMinimum;
-            uint160 sqrtPriceLimitX96;
-        }
-
-        function exactInputSingle(ExactInputSingleParams calldata params)
-            external payable returns (uint256 amountOut);
-    }
-
     modifier onlyAuthorized() {
         require(
             authorizedExecutors[msg.sender] || msg.sender == owner(),
@@ -131,6 +136,7 @@ contract ArbitrageFlashLoan is
 
     constructor(address _addressProvider) 
         FlashLoanSimpleReceiverBase(IPoolAddressesProvider(_addressProvider))
+        Ownable(msg.sender)
     {
         _initializeDexConfigs();
         authorizedExecutors[msg.sender] = true;
@@ -194,15 +200,18 @@ contract ArbitrageFlashLoan is
      * @param asset The asset to borrow
      * @param amount The amount to borrow
      * @param params Encoded swap parameters
+     * @return profit Asset the contract gained after repaying the loan and premium, so a static
+     *         call reports the profit the transaction would make
      */
     function executeArbitrage(
         address asset,
         uint256 amount,
         bytes calldata params
-    ) external onlyAuthorized whenNotPaused nonReentrant {
+    ) external onlyAuthorized whenNotPaused nonReentrant returns (uint256 profit) {
         require(amount > 0, "ArbitrageFlashLoan: Amount must be greater than 0");
         
         bytes memory data = abi.encode(params, msg.sender);
+        uint256 balanceBefore = IERC20(asset).balanceOf(address(this));
         
         POOL.flashLoanSimple(
             address(this),
@@ -211,6 +220,8 @@ contract ArbitrageFlashLoan is
             data,
             0 // referralCode
         );
+
+        profit = IERC20(asset).balanceOf(address(this)) - balanceBefore;
     }
 
     /**
@@ -230,20 +241,22 @@ contract ArbitrageFlashLoan is
 
         // Decode parameters
         (bytes memory swapData, address executor) = abi.decode(params, (bytes, address));
-        SwapParams[] memory swaps = abi.decode(swapData, (SwapParams[]));
+        SwapParams[] memory swaps = _decodeSwaps(swapData);
 
         require(swaps.length > 0, "ArbitrageFlashLoan: No swaps provided");
-        require(swaps.length <= 10, "ArbitrageFlashLoan: Too many swaps");
+        require(swaps.length <= MAX_LEGS, "ArbitrageFlashLoan: Too many swaps");
 
         uint256 currentAmount = amount;
         address currentToken = asset;
+        uint256 hops = 0;
 
-        // Execute all swaps in the arbitrage path
-        for (uint256 i = 0; i < swaps.length; i++) {
+        // Execute all hops in the arbitrage path
+        for (uint256 i = 0; i < swaps.length; ) {
             require(swaps[i].tokenIn == currentToken, "ArbitrageFlashLoan: Token path mismatch");
-            
-            currentAmount = _executeSwap(swaps[i], currentAmount);
-            currentToken = swaps[i].tokenOut;
+            require(++hops <= MAX_HOPS, "ArbitrageFlashLoan: Too many swaps");
+
+            (currentAmount, i) = _executeHop(swaps, i, currentAmount);
+            currentToken = swaps[i - 1].tokenOut;
         }
 
         // Verify we're back to the original asset
@@ -268,11 +281,62 @@ contract ArbitrageFlashLoan is
         emit ArbitrageExecuted(asset, amount, profit, gasUsed, executor);
 
         // Approve repayment
-        IERC20(asset).safeApprove(address(POOL), totalRepayment);
+        IERC20(asset).forceApprove(address(POOL), totalRepayment);
 
         return true;
     }
 
+    /**
+     * @notice Decode swap parameters exactly as executeOperation does
+     * @dev Puts SwapParams in the ABI, so off-chain encoders are generated from it and tested against it
+     */
+    function decodeSwapParams(bytes calldata params) external pure returns (SwapParams[] memory) {
+        return _decodeSwaps(params);
+    }
+
+    function _decodeSwaps(bytes memory params) internal pure returns (SwapParams[] memory) {
+        return abi.decode(params, (SwapParams[]));
+    }
+
+    /**
+     * @notice Execute the legs of the hop starting at index start, splitting amountIn by their shares
+     * @dev The last leg swaps whatever the shares left over, so rounding never strands tokens
+     * @return amountOut Total output of all legs
+     * @return next Index of the first leg of the following hop
+     */
+    function _executeHop(
+        SwapParams[] memory swaps,
+        uint256 start,
+        uint256 amountIn
+    ) internal returns (uint256 amountOut, uint256 next) {
+        address tokenIn = swaps[start].tokenIn;
+        address tokenOut = swaps[start].tokenOut;
+        uint256 remaining = amountIn;
+        uint256 shareTotal = 0;
+
+        next = start;
+        while (shareTotal < FULL_SHARE) {
+            require(next < swaps.length, "ArbitrageFlashLoan: Hop shares must sum to 10000");
+            SwapParams memory leg = swaps[next];
+            require(
+                leg.tokenIn == tokenIn && leg.tokenOut == tokenOut,
+                "ArbitrageFlashLoan: Token path mismatch"
+            );
+            require(leg.shareBps > 0, "ArbitrageFlashLoan: Empty leg");
+
+            shareTotal += leg.shareBps;
+            require(shareTotal <= FULL_SHARE, "ArbitrageFlashLoan: Hop shares must sum to 10000");
+
+            uint256 legAmountIn = shareTotal == FULL_SHARE
+                ? remaining
+                : (amountIn * leg.shareBps) / FULL_SHARE;
+            remaining -= legAmountIn;
+
+            amountOut += _executeSwap(leg, legAmountIn);
+            next++;
+        }
+    }
+
     /**
      * @notice Execute a single swap on specified DEX
      */
@@ -280,12 +344,12 @@ contract ArbitrageFlashLoan is
         SwapParams memory swap,
         uint256 amountIn
     ) internal validDexId(swap.dexId) returns (uint256 amountOut) {
-        require(swap.deadline >= block.timestamp, "ArbitrageFlashLoan: Swap deadline exceeded");
+        require(block.number <= swap.deadlineBlock, "ArbitrageFlashLoan: Swap deadline exceeded");
         
         DexConfig memory config = dexConfigs[swap.dexId];
         
         // Approve token spend
-        IERC20(swap.tokenIn).safeApprove(config.router, amountIn);
+        IERC20(swap.tokenIn).forceApprove(config.router, amountIn);
 
         if (config.dexType == 0) {
             // UniswapV2 style swap
@@ -295,11 +359,9 @@ contract ArbitrageFlashLoan is
             amountOut = _swapV3(config.router, swap, amountIn);
         }
 
+        // amountOutMin is the quoted output less the leg's slippage tolerance; amountIn and
+        // amountOut are different tokens, so they cannot be compared with each other
         require(amountOut >= swap.amountOutMin, "ArbitrageFlashLoan: Insufficient output amount");
-        
-        // Verify slippage is within bounds
-        uint256 slippage = ((amountIn - amountOut) * 10000) / amountIn;
-        require(slippage <= config.maxSlippage, "ArbitrageFlashLoan: Slippage too high");
     }
 
     /**
@@ -319,7 +381,7 @@ contract ArbitrageFlashLoan is
             swap.amountOutMin,
             path,
             address(this),
-            swap.deadline
+            block.timestamp // The block deadline was checked in _executeSwap
         );
 
         return amounts[1];
@@ -346,7 +408,7 @@ contract ArbitrageFlashLoan is
                 tokenOut: swap.tokenOut,
                 fee: fee,
                 recipient: address(this),
-                deadline: swap.deadline,
+                deadline: block.timestamp, // The block deadline was checked in _executeSwap
                 amountIn: amountIn,
                 amountOutMinimum: swap.amountOutMin,
                 sqrtPriceLimitX96: 0
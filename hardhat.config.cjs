@@ -1,15 +1,14 @@
-import { HardhatUserConfig } from "hardhat/config";
-import "@nomicfoundation/hardhat-toolbox";
-import "@nomicfoundation/hardhat-verify";
-import "hardhat-gas-reporter";
-import "solidity-coverage";
-import dotenv from "dotenv";
-
-dotenv.config();
+// CommonJS: Hardhat 2 cannot load an ES module config, and this package is "type": "module"
+require("@nomicfoundation/hardhat-toolbox");
+require("@nomicfoundation/hardhat-verify");
+require("hardhat-gas-reporter");
+require("solidity-coverage");
+require("dotenv").config();
 
+/** @type import('hardhat/config').HardhatUserConfig */
 const config = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20", // OpenZeppelin 5 needs ^0.8.20
     settings: {
       optimizer: {
         enabled: true,
@@ -68,4 +67,4 @@ const config = {
   },
 };
 
-export default config;
\ No newline at end of file
+module.exports = config;
\ No newline at end of file
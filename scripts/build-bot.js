@@ -87,7 +87,7 @@ copyDirectory(scriptsSrcDir, scriptsDestDir);
 
 // Copy configuration files
 const configFiles = [
-  'hardhat.config.js',
+  'hardhat.config.cjs',
   '.env.example',
   'README.md'
 ];
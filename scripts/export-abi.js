@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Write the ArbitrageFlashLoan ABI from the Hardhat artifact into the bot's config
+ * Run through `npm run abi:export`, which compiles first; the Hardhat tests fail while the
+ * exported ABI differs from the compiled one
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const artifactFile = fileURLToPath(new URL('../artifacts/contracts/ArbitrageFlashLoan.sol/ArbitrageFlashLoan.json', import.meta.url));
+const abiFile = fileURLToPath(new URL('../src/bot/config/contractAbi.js', import.meta.url));
+
+try {
+  const { abi } = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+
+  fs.writeFileSync(abiFile, `/**
+ * ArbitrageFlashLoan ABI - Exported from the Hardhat artifact by scripts/export-abi.js; do not edit
+ * Run \`npm run abi:export\` after changing the contract
+ */
+
+export const ARBITRAGE_FLASH_LOAN_ABI = ${JSON.stringify(abi, null, 2)};
+`);
+
+  console.log(`✅ Exported ${abi.length} ABI entries to ${abiFile}`);
+} catch (error) {
+  console.error('❌ ABI export failed:', error.message);
+  console.log('   Compile the contract first: npx hardhat compile');
+  process.exitCode = 1;
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild the pool registry from the DEX factories and write it to disk
+ * Uses BSC_RPC_URLS (or BSC_RPC_URL) like the bot
+ */
+
+import { DEX_CONFIGS } from '../src/bot/config/dexConfig.js';
+import { TOKEN_ADDRESSES } from '../src/bot/config/tokenConfig.js';
+import { ProviderPool } from '../src/bot/utils/providerPool.js';
+import { PoolRegistry } from '../src/bot/utils/poolRegistry.js';
+
+const rpcUrls = (process.env.BSC_RPC_URLS || process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org/')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+const provider = new ProviderPool(rpcUrls);
+const registry = new PoolRegistry(provider, DEX_CONFIGS, TOKEN_ADDRESSES);
+
+try {
+  console.log('📚 Refreshing pool registry from DEX factories...');
+  await registry.refresh();
+  await registry.save();
+
+  const stats = registry.getStats();
+  console.log(`✅ ${stats.withLiquidity} of ${stats.pools} pools have liquidity`);
+  for (const [dex, count] of Object.entries(stats.byDex)) {
+    console.log(`   ${dex}: ${count} pools`);
+  }
+  console.log(`💾 Saved to ${registry.cacheFile}`);
+} catch (error) {
+  console.error('❌ Pool registry refresh failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  provider.destroy();
+}
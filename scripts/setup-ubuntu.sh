@@ -86,7 +86,13 @@ CONTRACT_ADDRESS=
 # Bot Parameters
 MIN_PROFIT_PERCENT=0.5
 MAX_GAS_PRICE=20
-FLASH_LOAN_AMOUNT=10
+MAX_FLASH_LOAN_USD=100000
+GAS_BID_STRATEGY=profit-share
+GAS_BID_PROFIT_SHARE=10
+TX_REPLACE_AFTER_BLOCKS=3
+TX_CANCEL_AFTER_BLOCKS=10
+EXECUTOR_WORKERS=1
+OPPORTUNITY_TTL=3000
 
 # Advanced Configuration
 SCAN_INTERVAL=2000
@@ -99,6 +105,7 @@ LOG_TO_FILE=true
 
 # Safety Limits
 MAX_SLIPPAGE=0.5
+SWAP_DEADLINE_BLOCKS=5
 MIN_LIQUIDITY=50000
 MAX_PRICE_IMPACT=2.0
 
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Play, Pause, TrendingUp, DollarSign, Activity, AlertTriangle, RotateCcw, Zap } from 'lucide-react';
+import { ethers } from 'ethers';
+import { UsdOracle } from './bot/utils/usdOracle.js';
 
 interface SwapDetail {
   index: number;
@@ -76,22 +78,36 @@ function App() {
 
   const [currentScanCycle, setCurrentScanCycle] = useState(0);
 
-  // Mock USD prices for demonstration
-  const usdPrices = {
-    'WBNB': 300,
-    'BTCB': 45000,
-    'ETH': 2500,
-    'USDT': 1,
-    'USDC': 1,
-    'CAKE': 2.5
-  };
+  // USD prices from the same on-chain oracle the bot uses
+  const [usdPrices, setUsdPrices] = useState<Record<string, number>>({});
 
   const flashLoanAssets = ['WBNB', 'BTCB', 'ETH', 'USDT', 'USDC', 'CAKE'];
 
   useEffect(() => {
-    // Simulate real-time updates
+    const provider = new ethers.JsonRpcProvider(
+      import.meta.env.VITE_BSC_RPC_URL || 'https://bsc-dataseed1.binance.org/'
+    );
+    const usdOracle = new UsdOracle(provider);
+
+    const refreshPrices = () => {
+      usdOracle.refresh()
+        .then(prices => setUsdPrices(prices as Record<string, number>))
+        .catch(error => setLogs(prev => [`⚠️ USD price refresh failed: ${error.message}`, ...prev.slice(0, 9)]));
+    };
+
+    refreshPrices();
+    const interval = setInterval(refreshPrices, 30000);
+
+    return () => {
+      clearInterval(interval);
+      provider.destroy();
+    };
+  }, []);
+
+  useEffect(() => {
+    // Simulate real-time updates once USD prices are loaded
     const interval = setInterval(() => {
-      if (isRunning) {
+      if (isRunning && Object.keys(usdPrices).length > 0) {
         // Cycle through flash loan assets
         const currentAsset = flashLoanAssets[currentScanCycle % flashLoanAssets.length];
         const hopCount = Math.floor(Math.random() * 9) + 2; // 2-10 hops
@@ -188,7 +204,7 @@ function App() {
     }, 4000);
 
     return () => clearInterval(interval);
-  }, [isRunning, currentScanCycle]);
+  }, [isRunning, currentScanCycle, usdPrices]);
 
   const toggleBot = () => {
     setIsRunning(!isRunning);
@@ -7,6 +7,18 @@ import { PriceFetcher } from './utils/priceFetcher.js';
 import { PathGenerator } from './utils/pathGenerator.js';
 import { ArbitrageScanner } from './utils/arbitrageScanner.js';
 import { FlashLoanExecutor } from './utils/flashLoanExecutor.js';
+import { PoolStateCache } from './utils/poolStateCache.js';
+import { UsdOracle } from './utils/usdOracle.js';
+import { ProviderPool } from './utils/providerPool.js';
+import { PoolRegistry } from './utils/poolRegistry.js';
+import { RateGraph } from './utils/rateGraph.js';
+import { SizeOptimizer } from './utils/sizeOptimizer.js';
+import { GasOracle } from './utils/gasOracle.js';
+import { createBidStrategy } from './utils/gasBidding.js';
+import { TransactionManager } from './utils/transactionManager.js';
+import { OpportunityQueue } from './utils/opportunityQueue.js';
+import { FreshnessGuard } from './utils/freshnessGuard.js';
+import { SlippagePolicy } from './utils/slippagePolicy.js';
 
 /**
  * BSC Multi-DEX Arbitrage Bot with Flash Loans
@@ -18,26 +30,76 @@ import { FlashLoanExecutor } from './utils/flashLoanExecutor.js';
 class ArbitrageBot {
   constructor(config) {
     this.config = config;
-    this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    // Reads go to the healthiest endpoint and fail over to the others
+    this.provider = new ProviderPool(config.rpcUrls, { quorum: config.rpcQuorum });
     this.wallet = new ethers.Wallet(config.privateKey, this.provider);
     
     // Initialize components with proper provider
     this.priceFetcher = new PriceFetcher(this.provider, DEX_CONFIGS);
-    this.pathGenerator = new PathGenerator(TOKEN_ADDRESSES, DEX_CONFIGS);
-    this.scanner = new ArbitrageScanner(this.priceFetcher);
-    this.executor = new FlashLoanExecutor(this.wallet, config.contractAddress);
+    this.usdOracle = new UsdOracle(this.provider, {
+      priceFetcher: this.priceFetcher,
+      multicall: this.priceFetcher.multicall
+    });
+    this.poolRegistry = new PoolRegistry(this.provider, DEX_CONFIGS, TOKEN_ADDRESSES, {
+      multicall: this.priceFetcher.multicall
+    });
+    this.pathGenerator = new PathGenerator(TOKEN_ADDRESSES, DEX_CONFIGS, this.poolRegistry);
+    this.rateGraph = new RateGraph(this.priceFetcher, this.poolRegistry, this.pathGenerator, {
+      usdOracle: this.usdOracle
+    });
+    this.sizeOptimizer = new SizeOptimizer(this.provider, {
+      usdOracle: this.usdOracle,
+      maxSizeUsd: config.maxFlashLoanUsd
+    });
+    // Profit estimates, safety checks and transactions all price gas from this oracle
+    this.gasOracle = new GasOracle(this.provider);
+    this.scanner = new ArbitrageScanner(this.priceFetcher, this.usdOracle, this.sizeOptimizer, this.gasOracle);
+    // Nonces are assigned locally; a stuck transaction is sped up, then cancelled, within a bounded number of blocks
+    this.txManager = new TransactionManager(this.wallet, this.gasOracle, {
+      replaceAfterBlocks: config.txReplaceAfterBlocks,
+      cancelAfterBlocks: config.txCancelAfterBlocks,
+      maxGasPrice: ethers.parseUnits(config.maxGasPrice, 'gwei')
+    });
+    // Per-leg minimum outputs widen with each pool's measured volatility, within MAX_SLIPPAGE
+    this.slippagePolicy = new SlippagePolicy({
+      maxSlippagePercent: config.maxSlippage,
+      minProfitPercent: config.minProfitPercent,
+      deadlineBlocks: config.swapDeadlineBlocks
+    });
+    this.executor = new FlashLoanExecutor(this.wallet, config.contractAddress, this.gasOracle, {
+      bidStrategy: createBidStrategy(config.gasBidStrategy, { profitShare: config.gasBidProfitShare / 100 }),
+      maxGasPrice: ethers.parseUnits(config.maxGasPrice, 'gwei'),
+      minProfitPercent: config.minProfitPercent,
+      txManager: this.txManager,
+      slippagePolicy: this.slippagePolicy
+    });
+    // Scans queue opportunities and move on; executor workers take the most profitable first
+    this.opportunityQueue = new OpportunityQueue({ ttl: config.opportunityTtl });
+    this.opportunityQueue.on('state', ({ opportunity, state }) => this.logOpportunityState(opportunity, state));
+    this.workers = [];
+    // Every opportunity is quoted again at the latest block before it is executed
+    this.freshnessGuard = new FreshnessGuard(this.provider, this.scanner, {
+      minProfitPercent: config.minProfitPercent
+    });
+    
+    // With a websocket endpoint, pool events drive the scans instead of polling
+    this.poolStateCache = config.wsUrl
+      ? new PoolStateCache(config.wsUrl, this.priceFetcher)
+      : null;
     
     this.isRunning = false;
     this.circularPaths = [];
-    this.currentScanIndex = 0; // For cycling through different flash loan assets and hop counts
+    this.pendingPools = new Set();
+    this.pendingBlock = null;
+    this.isScanningChanges = false;
     this.stats = {
       totalScans: 0,
       circularOpportunitiesFound: 0,
       flashLoanExecutions: 0,
-      totalProfit: new BigNumber(0),
+      totalProfitUSD: new BigNumber(0),
       errors: 0,
       pathsGenerated: 0,
-      scanCycles: {
+      cyclesByAsset: {
         WBNB: 0,
         BTCB: 0,
         ETH: 0,
@@ -50,7 +112,7 @@ class ArbitrageBot {
     console.log('🤖 BSC Flash Loan Arbitrage Bot initialized');
     console.log(`📊 Monitoring ${Object.keys(DEX_CONFIGS).length} DEXes`);
     console.log(`💰 Flash loan assets: ${Object.keys(TOKEN_ADDRESSES).join(', ')}`);
-    console.log(`🔗 Connected to: ${config.rpcUrl}`);
+    console.log(`🔗 RPC endpoints: ${config.rpcUrls.join(', ')}`);
   }
 
   async start() {
@@ -60,13 +122,29 @@ class ArbitrageBot {
     }
 
     try {
+      // Measure every RPC node before routing reads to them
+      await this.provider.startHealthChecks();
+      console.log(`🩺 RPC nodes: ${this.formatNodeHealth()}`);
+      
       // Verify network connection and flash loan contract
       await this.verifyConnection();
       await this.verifyFlashLoanContract();
+      await this.verifyPairAddresses();
+      await this.verifyV3Simulator();
+      
+      // USD prices for every opportunity, log line and stat come from the oracle
+      await this.usdOracle.start();
+      console.log(`💵 USD prices: ${this.formatUsdPrices()}`);
+      await this.gasOracle.update();
+      console.log(`⛽ Gas price: ${this.gasOracle.formatFees()}`);
       
       this.isRunning = true;
       console.log('🚀 Starting flash loan arbitrage bot...');
       
+      // Paths only use pools the factories report, with liquidity
+      await this.poolRegistry.ensureLoaded();
+      this.poolRegistry.applyTo(this.priceFetcher);
+      
       // Generate all circular arbitrage paths for ALL flash loan assets
       console.log('🔄 Generating circular arbitrage paths for ALL flash loan assets...');
       this.circularPaths = await this.pathGenerator.generateAllPaths();
@@ -81,13 +159,36 @@ class ArbitrageBot {
       
       console.log(`✅ Generated ${this.circularPaths.length} circular arbitrage paths`);
       this.printPathStatistics();
+      
+      if (!this.poolStateCache || !(await this.startEventDrivenScanning())) {
+        // Start the main scanning loop
+        this.scanLoop();
+      }
 
-      // Start the main scanning loop
-      this.scanLoop();
+      // Last, so a failed start leaves no worker waiting on the queue
+      this.startExecutionWorkers();
       
     } catch (error) {
       console.error('❌ Failed to start bot:', error.message);
       this.isRunning = false;
+      this.provider.stopHealthChecks();
+    }
+  }
+
+  /**
+   * Search the graph again whenever a watched pool changes; false if the event stream cannot be started
+   */
+  async startEventDrivenScanning() {
+    try {
+      await this.poolStateCache.watchPaths(this.circularPaths);
+      this.poolStateCache.on('update', update => this.scanChangedPools(update));
+      await this.poolStateCache.start();
+      console.log('📡 Event-driven scanning enabled');
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Event-driven scanning unavailable (${error.message}), polling instead`);
+      this.poolStateCache.removeAllListeners('update');
+      return false;
     }
   }
 
@@ -115,20 +216,46 @@ class ArbitrageBot {
         throw new Error('Flash loan contract address not configured');
       }
       
-      const code = await this.provider.getCode(this.config.contractAddress);
-      if (code === '0x') {
-        throw new Error('Flash loan contract not deployed at specified address');
-      }
+      // Refuse to run against a contract whose functions differ from the compiled ABI
+      const functions = await this.executor.verifyContract();
       
-      console.log(`✅ Flash loan contract verified at: ${this.config.contractAddress}`);
+      console.log(`✅ Flash loan contract verified at: ${this.config.contractAddress} (${functions} functions match the compiled ABI)`);
       
     } catch (error) {
       throw new Error(`Flash loan contract verification failed: ${error.message}`);
     }
   }
 
+  /**
+   * V2 pair addresses are derived offline; a wrong initCodeHash would point every quote at empty addresses
+   */
+  async verifyPairAddresses() {
+    const { WBNB, USDT, BTCB, ETH } = TOKEN_ADDRESSES;
+    const verified = await this.priceFetcher.verifyPairAddresses([
+      [WBNB.address, USDT.address],
+      [WBNB.address, BTCB.address],
+      [WBNB.address, ETH.address]
+    ]);
+    console.log(`✅ CREATE2 pair addresses verified for: ${verified.join(', ')}`);
+  }
+
+  /**
+   * V3 quotes come from the local swap simulation; it must agree with the on-chain quoter to the wei
+   */
+  async verifyV3Simulator() {
+    const { WBNB, USDT } = TOKEN_ADDRESSES;
+    const verified = await this.priceFetcher.verifyV3Simulator(WBNB.address, USDT.address, '1');
+    console.log(`✅ V3 swap simulation matches QuoterV2 for: ${verified.join(', ')}`);
+  }
+
   async stop() {
     this.isRunning = false;
+    this.usdOracle.stop();
+    this.provider.stopHealthChecks();
+    if (this.poolStateCache) {
+      await this.poolStateCache.stop();
+    }
+    await this.stopExecutionWorkers();
     console.log('⏹️ Flash loan arbitrage bot stopped');
     this.printStats();
   }
@@ -143,9 +270,6 @@ class ArbitrageBot {
         this.stats.totalScans++;
         consecutiveErrors = 0; // Reset error counter on success
         
-        // Increment scan index for cycling through different assets and hop counts
-        this.currentScanIndex++;
-        
         // Dynamic delay based on network conditions and findings
         const delay = this.calculateScanDelay();
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -186,55 +310,106 @@ class ArbitrageBot {
   }
 
   async scanForCircularOpportunities() {
-    // Get paths for current scan cycle (rotates through all flash loan assets and hop counts)
-    const pathsToScan = this.pathGenerator.getPathsForScanCycle(this.currentScanIndex);
-    const currentFlashLoanAsset = pathsToScan.length > 0 ? pathsToScan[0].flashLoanAsset : 'UNKNOWN';
-    
-    // Update scan cycle stats
-    if (this.stats.scanCycles[currentFlashLoanAsset] !== undefined) {
-      this.stats.scanCycles[currentFlashLoanAsset]++;
-    }
+    // Pin the whole cycle to one block so every quote sees the same chain state
+    const snapshotBlock = await this.provider.getBlockNumber();
     
-    // Generate trading pairs for price fetching
-    const tradingPairs = this.generateTradingPairs();
+    console.log(`📊 Building rate graph at block ${snapshotBlock}...`);
+    const { prices, cycles } = await this.searchRateGraph(snapshotBlock);
     
-    // Fetch current prices from all DEXes
-    console.log(`📊 Fetching current prices for ${currentFlashLoanAsset} flash loan paths...`);
-    const prices = await this.priceFetcher.getAllPrices(tradingPairs, '1');
+    console.log(`🔍 Scanning ${cycles.length} negative cycles at block ${snapshotBlock}`);
+    const opportunities = await this.scanner.scanMultiplePaths(cycles, 6, snapshotBlock);
     
-    console.log(`🔍 Scanning ${pathsToScan.length} circular paths for ${currentFlashLoanAsset} arbitrage opportunities...`);
-    console.log(`   🔄 Scan cycle: ${this.currentScanIndex}, Asset: ${currentFlashLoanAsset}`);
+    await this.processOpportunities(opportunities, `block ${snapshotBlock}`, prices);
+  }
+
+  /**
+   * Quote every pool at the snapshot block and find the profitable cycles through each flash loan asset
+   */
+  async searchRateGraph(snapshotBlock) {
+    // The fee market is read at the same block the pools are quoted at
+    const [prices] = await Promise.all([
+      this.rateGraph.update(snapshotBlock),
+      this.gasOracle.update(snapshotBlock)
+    ]);
+    const cycles = this.rateGraph.findCycles();
+    this.slippagePolicy.observe(prices, snapshotBlock);
     
-    // Scan paths for opportunities
-    const opportunities = await this.scanner.scanMultiplePaths(pathsToScan, 6);
+    for (const cycle of cycles) {
+      if (this.stats.cyclesByAsset[cycle.flashLoanAsset] !== undefined) {
+        this.stats.cyclesByAsset[cycle.flashLoanAsset]++;
+      }
+    }
     
+    return { prices, cycles };
+  }
+
+  /**
+   * Search the graph after a pool state update and scan the cycles through the changed pools
+   * Updates arriving during a scan are merged and handled once it finishes, at the newest block seen
+   */
+  async scanChangedPools(update) {
+    for (const address of update.pools) {
+      this.pendingPools.add(address);
+    }
+    this.pendingBlock = Math.max(this.pendingBlock ?? 0, update.blockNumber);
+    if (this.isScanningChanges) return;
+
+    this.isScanningChanges = true;
+    try {
+      while (this.isRunning && this.pendingPools.size > 0) {
+        const changedPools = new Set(this.pendingPools);
+        const snapshotBlock = this.pendingBlock;
+        this.pendingPools.clear();
+
+        const { prices, cycles } = await this.searchRateGraph(snapshotBlock);
+        const affected = cycles.filter(cycle => cycle.pools.some(pool => changedPools.has(pool)));
+
+        console.log(`📡 Block ${snapshotBlock}: ${changedPools.size} pools changed, scanning ${affected.length} of ${cycles.length} negative cycles`);
+        const opportunities = await this.scanner.scanMultiplePaths(affected, 6, snapshotBlock);
+        this.stats.totalScans++;
+
+        await this.processOpportunities(opportunities, `block ${snapshotBlock}`, prices);
+      }
+    } catch (error) {
+      console.error('❌ Error scanning changed pools:', error.message);
+      this.stats.errors++;
+    } finally {
+      this.isScanningChanges = false;
+    }
+  }
+
+  async processOpportunities(opportunities, label, prices) {
     if (opportunities.length > 0) {
       this.stats.circularOpportunitiesFound += opportunities.length;
       
-      console.log(`💡 Found ${opportunities.length} circular arbitrage opportunities for ${currentFlashLoanAsset}:`);
+      console.log(`💡 Found ${opportunities.length} circular arbitrage opportunities for ${label}:`);
       
       // Process each opportunity
       for (const opportunity of opportunities.slice(0, 3)) { // Limit to top 3
-        console.log(`   💰 ${opportunity.profitAfterCosts.toFixed(6)} ${opportunity.flashLoanAsset} profit`);
+        console.log(`   💰 ${opportunity.profitAfterCosts.toFixed(6)} ${opportunity.flashLoanAsset} profit${this.formatUsd(opportunity.profitUSD)}`);
         console.log(`   🔄 Path: ${opportunity.path.join(' → ')}`);
         console.log(`   🏪 DEXes: ${opportunity.dexes.join(' → ')}`);
         console.log(`   📈 Net ROI: ${opportunity.netROI.toFixed(3)}%`);
+        console.log(`   ⛽ Gas: ${opportunity.gasCostBNB.toFixed(6)} BNB = ${opportunity.gasCost.toFixed(6)} ${opportunity.flashLoanAsset}${this.formatUsd(opportunity.gasCostUSD)}`);
         console.log(`   ⚠️ Risk: ${opportunity.riskLevel}`);
+        console.log(`   🧱 Snapshot block: ${opportunity.snapshotBlock ?? 'latest'}`);
         
         // Log detailed swap information with USD prices
         await this.logDetailedSwapInfo(opportunity, prices);
         
-        // Execute if profitable enough and risk is acceptable
+        // Queue for execution if profitable enough and risk is acceptable
         if (opportunity.netROI.gt(this.config.minProfitPercent) && 
             opportunity.riskLevel !== 'HIGH' &&
             opportunity.confidence > 60) {
-          await this.executeFlashLoanArbitrage(opportunity);
+          if (!this.opportunityQueue.push(opportunity)) {
+            console.log(`   ⏭️ Skipping: path ${opportunity.pathId} is already being executed`);
+          }
         } else {
           console.log(`   ⏭️ Skipping: ROI ${opportunity.netROI.toFixed(3)}% or risk ${opportunity.riskLevel}`);
         }
       }
     } else {
-      console.log(`🔍 No profitable circular arbitrage opportunities found for ${currentFlashLoanAsset}`);
+      console.log(`🔍 No profitable circular arbitrage opportunities found for ${label}`);
     }
   }
 
@@ -244,16 +419,16 @@ class ArbitrageBot {
     for (let i = 0; i < opportunity.swapDetails.length; i++) {
       const swap = opportunity.swapDetails[i];
       const pairKey = `${this.getTokenAddress(swap.from)}/${this.getTokenAddress(swap.to)}`;
-      const priceData = prices[pairKey] && prices[pairKey][swap.dex];
+      // Hops the graph snapshot did not quote fall back to the swap's own quote
+      const priceData = (prices && prices[pairKey]?.[swap.dex]) || swap;
+      const usdInfo = priceData ? this.formatUsd(this.usdOracle.toUsd(swap.from, swap.amountIn)) : '';
       
-      let usdInfo = '';
-      if (priceData) {
-        // Simulate USD conversion (in real implementation, you'd fetch actual USD prices)
-        const estimatedUSD = this.estimateUSDValue(swap.from, swap.amountIn);
-        usdInfo = ` (~$${estimatedUSD.toFixed(2)})`;
-      }
-      
-      console.log(`     ${i + 1}. ${swap.from} → ${swap.to} on ${swap.dex}`);
+      const venues = swap.legs.map(leg => {
+        const feeTier = leg.fee ? ` (${leg.fee / 10000}% pool)` : '';
+        const share = swap.legs.length > 1 ? ` ${leg.shareBps / 100}%` : '';
+        return `${leg.dex}${feeTier}${share}`;
+      });
+      console.log(`     ${i + 1}. ${swap.from} → ${swap.to} on ${venues.join(' + ')}`);
       console.log(`        Amount In: ${swap.amountIn.toFixed(6)} ${swap.from}${usdInfo}`);
       console.log(`        Amount Out: ${swap.amountOut.toFixed(6)} ${swap.to}`);
       console.log(`        Price: ${swap.price.toFixed(8)}`);
@@ -262,55 +437,98 @@ class ArbitrageBot {
     }
   }
 
-  estimateUSDValue(token, amount) {
-    // Simplified USD estimation - in production, use real price feeds
-    const usdPrices = {
-      'WBNB': 300,
-      'BTCB': 45000,
-      'ETH': 2500,
-      'USDT': 1,
-      'USDC': 1,
-      'CAKE': 2.5
-    };
-    
-    const price = usdPrices[token] || 1;
-    return amount.multipliedBy(price).toNumber();
+  /**
+   * Format an oracle USD value for a log line (empty if the token has no price)
+   */
+  formatUsd(usdValue) {
+    return usdValue ? ` (~$${usdValue.toFixed(2)})` : '';
   }
 
-  generateTradingPairs() {
-    const mainTokens = ['WBNB', 'USDT', 'USDC', 'BTCB', 'ETH', 'CAKE'];
-    const pairs = [];
-    
-    for (let i = 0; i < mainTokens.length; i++) {
-      for (let j = i + 1; j < mainTokens.length; j++) {
-        pairs.push([
-          TOKEN_ADDRESSES[mainTokens[i]].address,
-          TOKEN_ADDRESSES[mainTokens[j]].address
-        ]);
+  formatUsdPrices() {
+    return Object.entries(this.usdOracle.getPrices())
+      .map(([symbol, price]) => `${symbol} $${price.toFixed(2)} (${this.usdOracle.getSource(symbol)})`)
+      .join(', ');
+  }
+
+  /**
+   * Start the executor workers; each takes the most profitable queued opportunity and executes it
+   */
+  startExecutionWorkers() {
+    this.workers = Array.from({ length: this.config.executorWorkers }, (_, id) => this.executionWorker(id + 1));
+    console.log(`👷 ${this.workers.length} executor worker(s) started, opportunities expire after ${this.opportunityQueue.ttl}ms in the queue`);
+  }
+
+  async executionWorker(id) {
+    for (;;) {
+      const opportunity = await this.opportunityQueue.take();
+      if (!opportunity) return;
+      
+      try {
+        console.log(`👷 Worker ${id} executing path ${opportunity.pathId} (${this.opportunityQueue.size} queued)`);
+        await this.executeFlashLoanArbitrage(opportunity);
+      } finally {
+        this.opportunityQueue.release(opportunity);
       }
     }
-    
-    return pairs;
+  }
+
+  /**
+   * Drop what is still queued and wait for the executions in flight to reach an outcome
+   */
+  async stopExecutionWorkers() {
+    this.opportunityQueue.close();
+    if (this.opportunityQueue.inFlight.size > 0) {
+      console.log(`⏳ Waiting for ${this.opportunityQueue.inFlight.size} execution(s) in flight...`);
+    }
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  logOpportunityState(opportunity, state) {
+    if (state === 'expired' || state === 'superseded') {
+      console.log(`⌛ Path ${opportunity.pathId} ${state} in the queue after ${Date.now() - opportunity.queuedAt}ms`);
+    }
   }
 
   async executeFlashLoanArbitrage(opportunity) {
+    const queue = this.opportunityQueue;
     try {
       console.log('⚡ Executing flash loan arbitrage...');
       
+      // Prices may have moved while the opportunity waited; only what still pays at the latest block is sent
+      const { fresh, opportunity: requoted, reason, ...freshness } = await this.freshnessGuard.check(opportunity);
+      if (!fresh) {
+        const latest = freshness.netROI === undefined ? 'no quote' : `${freshness.netROI}%`;
+        console.log(`🧊 Dropping path ${opportunity.pathId} (${reason}): net ROI ${freshness.scannedROI}% at block ${freshness.scannedBlock}, ${latest} at block ${freshness.blockNumber}`);
+        queue.setState(opportunity, 'failed', { reason, ...freshness });
+        return;
+      }
+      console.log(`🔁 Re-quoted at block ${freshness.blockNumber}: net ROI ${freshness.scannedROI}% → ${freshness.netROI}%`);
+      // Execute the re-quoted swaps; the copy carries the same queue state
+      Object.assign(opportunity, requoted);
+      
       // Additional safety checks before execution
       if (!await this.performSafetyChecks(opportunity)) {
         console.log('❌ Safety checks failed, skipping execution');
+        queue.setState(opportunity, 'failed', { reason: 'SAFETY_CHECKS_FAILED' });
         return;
       }
       
-      const result = await this.executor.executeFlashLoanArbitrage(opportunity);
+      const result = await this.executor.executeFlashLoanArbitrage(opportunity, (state, detail) => queue.setState(opportunity, state, detail));
+      queue.setState(opportunity, result.success ? 'confirmed' : 'failed', {
+        reason: result.reason,
+        txHash: result.txHash
+      });
       
       if (result.success) {
         this.stats.flashLoanExecutions++;
-        this.stats.totalProfit = this.stats.totalProfit.plus(result.actualProfit);
+        const profitUSD = this.usdOracle.toUsd(opportunity.flashLoanAsset, result.actualProfit);
+        if (profitUSD) {
+          this.stats.totalProfitUSD = this.stats.totalProfitUSD.plus(profitUSD);
+        }
         
         console.log('✅ Flash loan arbitrage executed successfully!');
-        console.log(`💰 Profit: ${result.actualProfit.toFixed(6)} ${opportunity.flashLoanAsset}`);
+        console.log(`💰 Profit: ${result.actualProfit.toFixed(6)} ${opportunity.flashLoanAsset}${this.formatUsd(profitUSD)}`);
         console.log(`📝 TX Hash: ${result.txHash}`);
         console.log(`⛽ Gas used: ${result.gasUsed}`);
         console.log(`🔄 Circular path: ${opportunity.path.join(' → ')}`);
@@ -324,6 +542,9 @@ class ArbitrageBot {
     } catch (error) {
       console.error('❌ Error executing flash loan arbitrage:', error.message);
       this.stats.errors++;
+      if (!queue.isSettled(opportunity)) {
+        queue.setState(opportunity, 'failed', { reason: 'ERROR', error: error.message });
+      }
     }
   }
 
@@ -338,12 +559,12 @@ class ArbitrageBot {
         return false;
       }
       
-      // Check gas price
-      const feeData = await this.provider.getFeeData();
+      // Check gas price at the latest block; the executor sends with these fees
+      const gasPrice = this.gasOracle.getGasPrice(await this.gasOracle.update());
       const maxGasPrice = ethers.parseUnits(this.config.maxGasPrice, 'gwei');
       
-      if (feeData.gasPrice > maxGasPrice) {
-        console.log('❌ Gas price too high:', ethers.formatUnits(feeData.gasPrice, 'gwei'), 'gwei');
+      if (gasPrice > maxGasPrice) {
+        console.log('❌ Gas price too high:', ethers.formatUnits(gasPrice, 'gwei'), 'gwei');
         return false;
       }
       
@@ -366,6 +587,13 @@ class ArbitrageBot {
         return false;
       }
       
+      // The pool state we quoted from must read the same on several nodes
+      if (this.provider.quorum > 1) {
+        const blockTag = opportunity.snapshotBlock ?? await this.provider.getBlockNumber();
+        await this.priceFetcher.crossCheckPools(opportunity.swapDetails, blockTag);
+        console.log(`✅ Pool state confirmed by ${this.provider.quorum} RPC nodes at block ${blockTag}`);
+      }
+      
       return true;
       
     } catch (error) {
@@ -391,11 +619,19 @@ class ArbitrageBot {
     console.log(`Circular paths generated: ${this.stats.pathsGenerated}`);
     console.log(`Circular opportunities found: ${this.stats.circularOpportunitiesFound}`);
     console.log(`Flash loan executions: ${this.stats.flashLoanExecutions}`);
-    console.log(`Total profit: ${this.stats.totalProfit.toFixed(6)} (various assets)`);
+    console.log(`Total profit: $${this.stats.totalProfitUSD.toFixed(2)}`);
     console.log(`Errors encountered: ${this.stats.errors}`);
     
-    console.log('\n🔄 Scan cycles by flash loan asset:');
-    for (const [asset, count] of Object.entries(this.stats.scanCycles)) {
+    const queue = this.opportunityQueue.getStats();
+    console.log(`\n📥 Opportunity queue: ${queue.waiting} waiting, ${queue.inFlight} in flight`);
+    console.log(`  ${Object.entries(queue.states).map(([state, count]) => `${state}: ${count}`).join(', ')}`);
+    
+    const freshness = this.freshnessGuard.getStats();
+    const drops = Object.entries(freshness.drops).map(([reason, count]) => `${reason}: ${count}`);
+    console.log(`🧊 Freshness checks: ${freshness.checked}, dropped ${drops.length > 0 ? drops.join(', ') : 'none'}`);
+    
+    console.log('\n🔄 Negative cycles found by flash loan asset:');
+    for (const [asset, count] of Object.entries(this.stats.cyclesByAsset)) {
       console.log(`  ${asset}: ${count} cycles`);
     }
     
@@ -405,10 +641,16 @@ class ArbitrageBot {
     }
     
     if (this.stats.flashLoanExecutions > 0) {
-      console.log(`Average profit per execution: ${this.stats.totalProfit.div(this.stats.flashLoanExecutions).toFixed(6)}`);
+      console.log(`Average profit per execution: $${this.stats.totalProfitUSD.div(this.stats.flashLoanExecutions).toFixed(2)}`);
     }
   }
 
+  formatNodeHealth() {
+    return this.provider.getHealth()
+      .map(node => `${node.url} (${node.blockNumber === null ? 'down' : `block ${node.blockNumber}, ${node.latency}ms`})`)
+      .join(', ');
+  }
+
   getTokenAddress(symbol) {
     const token = TOKEN_ADDRESSES[symbol];
     return token ? token.address : symbol;
@@ -418,6 +660,13 @@ class ArbitrageBot {
   async shutdown() {
     console.log('🛑 Initiating graceful shutdown...');
     this.isRunning = false;
+    this.usdOracle.stop();
+    this.provider.stopHealthChecks();
+    
+    if (this.poolStateCache) {
+      await this.poolStateCache.stop();
+    }
+    await this.stopExecutionWorkers();
     
     // Clear any pending operations
     this.priceFetcher.clearCache();
@@ -429,14 +678,30 @@ class ArbitrageBot {
   }
 }
 
+// A numeric setting as parsed, or the default when it is unset or not a number; 0 is a value
+const envNumber = (value, fallback) => (Number.isNaN(value) ? fallback : value);
+
 // Example configuration (use environment variables in production)
 const CONFIG = {
-  rpcUrl: process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org/',
+  rpcUrls: (process.env.BSC_RPC_URLS || process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org/')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean),
+  rpcQuorum: parseInt(process.env.RPC_QUORUM) || 1, // Nodes that must agree on pool state before executing
+  wsUrl: process.env.BSC_WS_URL, // Optional: enables event-driven scanning
   privateKey: process.env.PRIVATE_KEY || '0x' + '0'.repeat(64), // NEVER hardcode real keys
   contractAddress: process.env.CONTRACT_ADDRESS || '0x' + '0'.repeat(40),
   minProfitPercent: parseFloat(process.env.MIN_PROFIT_PERCENT) || 0.5, // Minimum 0.5% profit to execute
-  maxGasPrice: process.env.MAX_GAS_PRICE || '20', // Max gas price in gwei
-  flashLoanAmount: process.env.FLASH_LOAN_AMOUNT || '10' // Default flash loan amount
+  maxGasPrice: process.env.MAX_GAS_PRICE || '20', // Max gas price in gwei; no bid goes above it
+  gasBidStrategy: process.env.GAS_BID_STRATEGY || 'profit-share', // 'floor' or 'profit-share'
+  gasBidProfitShare: envNumber(parseFloat(process.env.GAS_BID_PROFIT_SHARE), 10), // % of expected profit bid above the floor
+  txReplaceAfterBlocks: parseInt(process.env.TX_REPLACE_AFTER_BLOCKS) || 3, // Pending blocks before a speed-up
+  txCancelAfterBlocks: parseInt(process.env.TX_CANCEL_AFTER_BLOCKS) || 10, // Pending blocks before a cancellation
+  maxSlippage: envNumber(parseFloat(process.env.MAX_SLIPPAGE), 0.5), // Max % any hop may return below its quote
+  swapDeadlineBlocks: envNumber(parseInt(process.env.SWAP_DEADLINE_BLOCKS), 5), // Blocks after sending the swaps may execute in
+  executorWorkers: parseInt(process.env.EXECUTOR_WORKERS) || 1, // Opportunities executed at the same time
+  opportunityTtl: parseInt(process.env.OPPORTUNITY_TTL) || 3000, // Milliseconds an opportunity may wait in the queue
+  maxFlashLoanUsd: parseFloat(process.env.MAX_FLASH_LOAN_USD) || 100000 // Upper bound for the flash loan size search
 };
 
 // Main execution
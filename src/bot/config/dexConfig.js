@@ -84,7 +84,39 @@ export const PAIR_ABI = [
 ];
 
 // Uniswap V3 specific ABIs
+// Both configured quoters are QuoterV2 deployments (struct params, extra return values)
 export const QUOTER_V3_ABI = [
-  'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)',
-  'function quoteExactInput(bytes calldata path, uint256 amountIn) external returns (uint256 amountOut)'
-];
\ No newline at end of file
+  'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+];
+export const FACTORY_V3_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+// feeProtocol is uint8 on Uniswap and uint32 on PancakeSwap; both decode as uint32
+export const POOL_V3_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint32 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function fee() external view returns (uint24)',
+  'function tickSpacing() external view returns (int24)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)'
+];
+
+// Multicall3 is deployed at the same address on BSC and most EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() external view returns (uint256 blockNumber)'
+];
+
+// Aave V3 Pool on BSC; lends the flash loans
+export const AAVE_V3_POOL_ADDRESS = '0x6807dc923806fE8Fd134338EABCA509979a7e0cB';
+
+export const AAVE_V3_POOL_ABI = [
+  'function getReserveData(address asset) external view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+  'function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128)'
+];
@@ -53,16 +53,6 @@ export const TOKEN_ADDRESSES = {
   }
 };
 
-// Common trading pairs for each token
-export const TRADING_PAIRS = {
-  WBNB: ['USDT', 'USDC', 'BTCB', 'ETH', 'CAKE'],
-  BTCB: ['WBNB', 'USDT', 'USDC', 'ETH'],
-  ETH: ['WBNB', 'USDT', 'USDC', 'BTCB'],
-  USDT: ['WBNB', 'BTCB', 'ETH', 'USDC', 'CAKE'],
-  USDC: ['WBNB', 'BTCB', 'ETH', 'USDT', 'CAKE'],
-  CAKE: ['WBNB', 'USDT', 'USDC']
-};
-
 // Minimum liquidity thresholds (in USD) for considering pairs
 export const MIN_LIQUIDITY_THRESHOLDS = {
   WBNB: 50000,   // $50k minimum liquidity
@@ -88,6 +78,16 @@ export const PRICE_IMPACT_THRESHOLDS = {
   EXTREME: 2.0   // 2.0% - avoid
 };
 
+// Chainlink USD price feeds on BSC, keyed by token symbol
+export const USD_PRICE_FEEDS = {
+  WBNB: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE', // BNB / USD
+  BTCB: '0x264990fbd0A4796A3E3d8E37C4d5F87a3aCa5Ebf', // BTC / USD
+  ETH: '0x9ef1B8c0E4F7dc8bF5719Ea496883DC6401d5b2e',  // ETH / USD
+  USDT: '0xB97Ad0E74fa7d920791E90258A6E2085088b4320', // USDT / USD
+  USDC: '0x51597f405303C4377E36123cBc172b13269EA163', // USDC / USD
+  CAKE: '0xB6064eD41d4f67e353768aA239cA86f4F73665a1'  // CAKE / USD
+};
+
 // Helper function to get token by address
 export function getTokenByAddress(address) {
   return Object.values(TOKEN_ADDRESSES).find(
@@ -123,4 +123,10 @@ export const ERC20_ABI = [
   'function transferFrom(address _from, address _to, uint256 _value) public returns (bool success)',
   'function approve(address _spender, uint256 _value) public returns (bool success)',
   'function allowance(address _owner, address _spender) public view returns (uint256 remaining)'
+];
+
+// Chainlink aggregator ABI for USD price feeds
+export const AGGREGATOR_V3_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
 ];
\ No newline at end of file
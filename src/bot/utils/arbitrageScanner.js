@@ -1,24 +1,32 @@
 import BigNumber from 'bignumber.js';
 import { PRICE_IMPACT_THRESHOLDS, MIN_LIQUIDITY_THRESHOLDS, TOKEN_ADDRESSES } from '../config/tokenConfig.js';
+import { TokenAmount } from './tokenAmount.js';
+import { SizeOptimizer } from './sizeOptimizer.js';
+import { GasOracle } from './gasOracle.js';
 
 /**
  * Arbitrage Scanner - Detects profitable circular arbitrage opportunities
  * Specifically designed for flash loan arbitrage where borrowed asset must be repaid
  */
 export class ArbitrageScanner {
-  constructor(priceFetcher) {
+  constructor(priceFetcher, usdOracle = null, sizeOptimizer = null, gasOracle = null) {
     this.priceFetcher = priceFetcher;
+    this.usdOracle = usdOracle;
+    this.sizeOptimizer = sizeOptimizer || new SizeOptimizer(priceFetcher.provider, { usdOracle });
+    this.gasOracle = gasOracle || new GasOracle(priceFetcher.provider);
     this.minProfitThreshold = 0.001; // 0.1% minimum profit
     this.maxPriceImpact = 2; // 2% max price impact
-    this.gasPrice = new BigNumber('5'); // 5 gwei
-    this.priorityFee = new BigNumber('2'); // 2 gwei priority fee
-    this.flashLoanFee = 0.0009; // 0.09% Aave V3 flash loan fee
+    this.splitSteps = 10; // A split hop moves its input in tenths
+    this.maxLegsPerHop = 3;
+    this.bnbRates = new Map(); // flash loan asset -> units per BNB at bnbRatesBlock
+    this.bnbRatesBlock = null;
   }
 
   /**
    * Scan a circular path for flash loan arbitrage opportunities
+   * With a blockTag every quote is taken at that snapshot block
    */
-  async scanPath(path, currentPrices = null) {
+  async scanPath(path, currentPrices = null, blockTag = null) {
     try {
       // Validate path is circular (required for flash loans)
       if (!path.isCircular || path.tokens[0] !== path.tokens[path.tokens.length - 1]) {
@@ -26,23 +34,21 @@ export class ArbitrageScanner {
         return null;
       }
 
-      // Calculate potential profit for this circular path
-      const opportunity = await this.calculateCircularPathProfit(path, currentPrices);
+      // Size the flash loan for the most profit after gas and premium, within what Aave
+      // can lend and the pools can absorb; this size is the one executed
+      const bounds = await this.sizeOptimizer.getBounds(path.tokens[0], blockTag);
+      const best = await this.sizeOptimizer.optimize(
+        flashLoanAmount => this.evaluateSize(path, flashLoanAmount, currentPrices, blockTag),
+        bounds
+      );
       
-      if (!opportunity) return null;
+      if (!best) return null;
+      const opportunity = best.result;
       
       // Check if opportunity meets minimum criteria
       if (opportunity.profitPercent < this.minProfitThreshold) return null;
       
-      // Calculate total costs (gas + flash loan fee)
-      const totalCosts = await this.calculateTotalCosts(path, opportunity.flashLoanAmount);
-      opportunity.gasCost = totalCosts.gasCost;
-      opportunity.flashLoanFee = totalCosts.flashLoanFee;
-      opportunity.totalCosts = totalCosts.total;
-      
-      // Calculate net profit after all costs
-      opportunity.profitAfterCosts = opportunity.grossProfit.minus(opportunity.totalCosts);
-      opportunity.netROI = opportunity.profitAfterCosts.div(opportunity.flashLoanAmount).multipliedBy(100);
+      await this.summarizeProfit(opportunity, blockTag);
       
       // Add risk assessment
       opportunity.confidence = this.calculateConfidenceScore(opportunity);
@@ -58,11 +64,109 @@ export class ArbitrageScanner {
   }
 
   /**
-   * Calculate profit potential for a circular arbitrage path
+   * Quote a path at one flash loan size and net out gas and the flash loan premium
+   */
+  async evaluateSize(path, flashLoanAmount, currentPrices = null, blockTag = null) {
+    const opportunity = await this.calculateCircularPathProfit(path, flashLoanAmount, currentPrices, blockTag);
+    if (!opportunity) return null;
+    
+    await this.applyCosts(opportunity, blockTag);
+    
+    return { net: opportunity.profitAfterCosts, result: opportunity };
+  }
+
+  /**
+   * Net gas and the flash loan premium out of an opportunity's gross profit
+   */
+  async applyCosts(opportunity, blockTag = null) {
+    // Calculate total costs (gas + flash loan fee)
+    const totalCosts = await this.calculateTotalCosts(opportunity, opportunity.flashLoanAmount, blockTag);
+    opportunity.gasCostBNB = totalCosts.gasCostBNB;
+    opportunity.gasCost = totalCosts.gasCost;
+    opportunity.flashLoanFee = totalCosts.flashLoanFee;
+    opportunity.totalCosts = totalCosts.total;
+    
+    // Calculate net profit after all costs
+    opportunity.profitAfterCosts = opportunity.grossProfit.minus(opportunity.totalCosts);
+  }
+
+  /**
+   * Net ROI and the net profit in USD and BNB
+   */
+  async summarizeProfit(opportunity, blockTag = null) {
+    opportunity.netROI = opportunity.profitAfterCosts.div(opportunity.flashLoanAmount).multipliedBy(100);
+    opportunity.profitUSD = this.usdOracle
+      ? this.usdOracle.toUsd(opportunity.flashLoanAsset, opportunity.profitAfterCosts)
+      : null;
+    opportunity.gasCostUSD = this.usdOracle ? this.usdOracle.toUsd('WBNB', opportunity.gasCostBNB) : null;
+    // Gas bids are sized against the profit in the currency gas is paid in
+    opportunity.profitBNB = await this.convertToBnb(opportunity.profitAfterCosts, opportunity.flashLoanAsset, blockTag);
+  }
+
+  /**
+   * Quote an opportunity again at another block, trading exactly as it would be executed:
+   * the same flash loan size, venues, V3 fee tiers and leg shares, each hop swapping what the
+   * previous one returned and its last leg taking what the shares left over (as the contract does)
+   * Returns a copy with the new quotes and costs, or null if a leg cannot be quoted
    */
-  async calculateCircularPathProfit(path, currentPrices = null) {
-    // Start with flash loan amount (optimize based on path characteristics)
-    const flashLoanAmount = this.calculateOptimalFlashLoanAmount(path);
+  async requote(opportunity, blockTag) {
+    let amountIn = opportunity.flashLoanAmount;
+    const swapDetails = [];
+    
+    for (const swap of opportunity.swapDetails) {
+      const tokenIn = this.getTokenAddress(swap.from);
+      const tokenOut = this.getTokenAddress(swap.to);
+      const legs = [];
+      let remaining = amountIn;
+      let shareTotal = 0;
+      
+      for (const leg of swap.legs) {
+        shareTotal += leg.shareBps;
+        const legAmountIn = shareTotal === 10000
+          ? remaining
+          : TokenAmount.from(swap.from, amountIn.multipliedBy(leg.shareBps).div(10000));
+        remaining = TokenAmount.from(swap.from, remaining.minus(legAmountIn));
+        
+        const legAmountOut = await this.priceFetcher.quoteLeg(leg.dex, tokenIn, tokenOut, legAmountIn.toString(), leg.fee, blockTag);
+        if (!legAmountOut) {
+          console.warn(`No quote for ${swap.from} -> ${swap.to} on ${leg.dex} at block ${blockTag}`);
+          return null;
+        }
+        legs.push({ ...leg, amountIn: legAmountIn, amountOut: legAmountOut });
+      }
+      
+      const amountOut = TokenAmount.from(swap.to, legs.reduce((total, leg) => total.plus(leg.amountOut), new BigNumber(0)));
+      swapDetails.push({
+        ...swap,
+        legs,
+        amountIn,
+        amountOut,
+        price: amountOut.div(amountIn),
+        slippage: this.calculateSlippage(amountIn, amountOut, swap.price) // Against the scanned price
+      });
+      amountIn = amountOut;
+    }
+    
+    const grossProfit = amountIn.minus(opportunity.flashLoanAmount);
+    const requoted = {
+      ...opportunity,
+      swapDetails,
+      finalAmount: amountIn,
+      grossProfit,
+      profitPercent: grossProfit.div(opportunity.flashLoanAmount).multipliedBy(100).toNumber(),
+      snapshotBlock: blockTag,
+      timestamp: Date.now()
+    };
+    
+    await this.applyCosts(requoted, blockTag);
+    await this.summarizeProfit(requoted, blockTag);
+    return requoted;
+  }
+
+  /**
+   * Calculate profit potential for a circular arbitrage path when borrowing flashLoanAmount
+   */
+  async calculateCircularPathProfit(path, flashLoanAmount, currentPrices = null, blockTag = null) {
     let currentAmount = flashLoanAmount;
     let currentToken = path.tokens[0]; // Flash loan asset
     
@@ -70,46 +174,50 @@ export class ArbitrageScanner {
     const flashLoanAsset = path.tokens[0];
     
     // Execute each swap in the circular path
-    for (let i = 0; i < path.dexes.length; i++) {
+    for (let i = 0; i < path.venues.length; i++) {
       const nextToken = path.tokens[i + 1];
-      const dex = path.dexes[i];
       
       // Get token addresses
       const currentTokenAddress = this.getTokenAddress(currentToken);
       const nextTokenAddress = this.getTokenAddress(nextToken);
       
-      // Get price for this swap
-      const priceData = currentPrices 
-        ? this.getPriceFromCache(currentPrices, dex, currentTokenAddress, nextTokenAddress, currentAmount.toString())
-        : await this.priceFetcher.getPrice(dex, currentTokenAddress, nextTokenAddress, currentAmount.toString());
+      // Quote every venue for this hop at the amount actually arriving; trade on the best one,
+      // or split across several when that returns more
+      const hop = await this.quoteHop(
+        path.venues[i], currentTokenAddress, nextTokenAddress, currentAmount, currentPrices, blockTag
+      );
       
-      if (!priceData) {
-        console.warn(`No price data for ${currentToken} -> ${nextToken} on ${dex}`);
+      if (!hop) {
+        console.warn(`No price data for ${currentToken} -> ${nextToken} on ${path.venues[i].join(', ')}`);
         return null; // Cannot complete this path
       }
       
-      // Calculate price impact
-      const priceImpact = await this.calculatePriceImpact(
-        dex, currentTokenAddress, nextTokenAddress, currentAmount.toString()
-      );
+      // Calculate price impact; a split hop is as exposed as its worst leg
+      const legImpacts = await Promise.all(hop.legs.map(leg => this.calculatePriceImpact(
+        leg.dex, currentTokenAddress, nextTokenAddress, leg.amountIn.toString(), blockTag
+      )));
+      const priceImpact = Math.max(...legImpacts.map(impact => impact ? impact.priceImpact : 0));
       
-      if (priceImpact && priceImpact.priceImpact > this.maxPriceImpact) {
-        console.warn(`Price impact too high: ${priceImpact.priceImpact}% for ${currentToken} -> ${nextToken}`);
+      if (priceImpact > this.maxPriceImpact) {
+        console.warn(`Price impact too high: ${priceImpact}% for ${currentToken} -> ${nextToken}`);
         return null; // Price impact too high
       }
       
-      const amountOut = new BigNumber(priceData.amountOut);
+      const amountOut = TokenAmount.from(nextToken, hop.amountOut);
+      const [mainLeg] = [...hop.legs].sort((a, b) => b.shareBps - a.shareBps);
       
       swapDetails.push({
         index: i,
         from: currentToken,
         to: nextToken,
-        dex: dex,
+        dex: mainLeg.dex, // Venue taking the largest share
+        fee: mainLeg.fee, // Winning V3 fee tier, undefined for V2
+        legs: hop.legs,
         amountIn: currentAmount,
         amountOut: amountOut,
-        price: new BigNumber(priceData.price),
-        priceImpact: priceImpact ? priceImpact.priceImpact : 0,
-        slippage: this.calculateSlippage(currentAmount, amountOut, priceData.price)
+        price: hop.price,
+        priceImpact: priceImpact,
+        slippage: this.calculateSlippage(currentAmount, amountOut, hop.price)
       });
       
       currentAmount = amountOut;
@@ -130,13 +238,14 @@ export class ArbitrageScanner {
     return {
       pathId: path.id,
       path: path.tokens,
-      dexes: path.dexes,
+      dexes: swapDetails.map(swap => swap.dex), // Venue chosen for each hop
       flashLoanAsset: flashLoanAsset,
       flashLoanAmount: flashLoanAmount,
       finalAmount: finalAmount,
       grossProfit: grossProfit,
       profitPercent: grossProfitPercent.toNumber(),
       swapDetails: swapDetails,
+      snapshotBlock: blockTag, // Block every quote was taken at (null for latest)
       timestamp: Date.now(),
       isCircular: true,
       totalHops: path.hops
@@ -144,52 +253,119 @@ export class ArbitrageScanner {
   }
 
   /**
-   * Calculate optimal flash loan amount based on path characteristics
+   * Quote one hop on each of its venues and return the quote with the most output
    */
-  calculateOptimalFlashLoanAmount(path) {
-    // Base amount depends on the flash loan asset
-    const baseAmounts = {
-      'WBNB': new BigNumber('10'),    // 10 BNB
-      'USDT': new BigNumber('3000'),  // $3000
-      'USDC': new BigNumber('3000'),  // $3000
-      'BTCB': new BigNumber('0.1'),   // 0.1 BTC
-      'ETH': new BigNumber('1.5'),    // 1.5 ETH
-      'CAKE': new BigNumber('1000')   // 1000 CAKE
+  async quoteBestVenue(venues, tokenIn, tokenOut, amountIn, currentPrices = null, blockTag = null) {
+    const quotes = await Promise.all(venues.map(async dex => {
+      const priceData = currentPrices
+        ? this.getPriceFromCache(currentPrices, dex, tokenIn, tokenOut, amountIn)
+        : await this.priceFetcher.getPrice(dex, tokenIn, tokenOut, amountIn, blockTag);
+      return priceData ? { ...priceData, dex } : null;
+    }));
+    
+    return quotes
+      .filter(Boolean)
+      .reduce((best, quote) => (!best || new BigNumber(quote.amountOut).gt(best.amountOut) ? quote : best), null);
+  }
+
+  /**
+   * Quote a hop as one or more legs with their shares of the input in basis points
+   * Splits are only tried on live quotes; snapshot prices carry no depth to split against
+   */
+  async quoteHop(venues, tokenIn, tokenOut, amountIn, currentPrices = null, blockTag = null) {
+    const best = await this.quoteBestVenue(venues, tokenIn, tokenOut, amountIn.toString(), currentPrices, blockTag);
+    if (!best) return null;
+    
+    const single = {
+      legs: [{ dex: best.dex, fee: best.fee, shareBps: 10000, amountIn, amountOut: TokenAmount.from(tokenOut, best.amountOut) }],
+      amountOut: TokenAmount.from(tokenOut, best.amountOut),
+      price: new BigNumber(best.price)
     };
+    if (currentPrices || venues.length < 2) return single;
     
-    let baseAmount = baseAmounts[path.flashLoanAsset] || new BigNumber('1');
-    
-    // Adjust based on path complexity
-    if (path.hops <= 3) {
-      baseAmount = baseAmount.multipliedBy(2); // More aggressive for simple paths
-    } else if (path.hops >= 6) {
-      baseAmount = baseAmount.multipliedBy(0.5); // More conservative for complex paths
+    const split = await this.optimizeSplit(venues, tokenIn, tokenOut, amountIn, blockTag);
+    return split && split.legs.length > 1 && split.amountOut.gt(single.amountOut) ? split : single;
+  }
+
+  /**
+   * Split a hop's input across venues for the most total output
+   * Hands out the input one step at a time to whichever venue adds the most output for it;
+   * with outputs that flatten as pools deepen, this greedy fill is optimal at the step size.
+   * A venue whose leg would move its pool more than maxPriceImpact takes no further steps
+   */
+  async optimizeSplit(venues, tokenIn, tokenOut, amountIn, blockTag = null) {
+    const steps = this.splitSteps;
+    const stepsByDex = new Map();
+    const quotesByDex = new Map();
+    
+    for (let step = 0; step < steps; step++) {
+      // Every venue's leg with one more step is quoted at once
+      const candidates = await Promise.all(venues.map(async dex => {
+        const allocated = stepsByDex.get(dex) || 0;
+        if (allocated === 0 && stepsByDex.size >= this.maxLegsPerHop) return null;
+        
+        const legAmountIn = amountIn.multipliedBy(allocated + 1).div(steps).toString();
+        const [quote, impact] = await Promise.all([
+          this.priceFetcher.getPrice(dex, tokenIn, tokenOut, legAmountIn, blockTag),
+          this.calculatePriceImpact(dex, tokenIn, tokenOut, legAmountIn, blockTag)
+        ]);
+        if (!quote || (impact && impact.priceImpact > this.maxPriceImpact)) return null;
+        
+        const previous = quotesByDex.get(dex);
+        return { dex, quote, gain: new BigNumber(quote.amountOut).minus(previous ? previous.amountOut : 0) };
+      }));
+      
+      const choice = candidates
+        .filter(Boolean)
+        .reduce((best, candidate) => (!best || candidate.gain.gt(best.gain) ? candidate : best), null);
+      
+      if (!choice) return null;
+      stepsByDex.set(choice.dex, (stepsByDex.get(choice.dex) || 0) + 1);
+      quotesByDex.set(choice.dex, choice.quote);
     }
     
-    // Adjust based on liquidity score
-    if (path.liquidityScore >= 50) {
-      baseAmount = baseAmount.multipliedBy(1.5);
-    } else if (path.liquidityScore < 30) {
-      baseAmount = baseAmount.multipliedBy(0.7);
-    }
+    // The contract hands the last leg whatever the others left, so it absorbs rounding
+    const legs = [];
+    let remaining = TokenAmount.from(tokenIn, amountIn);
+    let remainingBps = 10000;
+    const allocations = [...stepsByDex.entries()];
+    allocations.forEach(([dex, allocated], index) => {
+      const isLast = index === allocations.length - 1;
+      const shareBps = isLast ? remainingBps : Math.round(allocated * 10000 / steps);
+      const legAmountIn = isLast ? remaining : TokenAmount.from(tokenIn, amountIn.multipliedBy(shareBps).div(10000));
+      remaining = TokenAmount.from(tokenIn, remaining.minus(legAmountIn));
+      remainingBps -= shareBps;
+      
+      const quote = quotesByDex.get(dex);
+      legs.push({ dex, fee: quote.fee, shareBps, amountIn: legAmountIn, amountOut: TokenAmount.from(tokenOut, quote.amountOut) });
+    });
     
-    return baseAmount;
+    const amountOut = TokenAmount.from(tokenOut, legs.reduce((total, leg) => total.plus(leg.amountOut), new BigNumber(0)));
+    return { legs, amountOut, price: amountOut.div(amountIn) };
   }
 
   /**
-   * Calculate total costs (gas + flash loan fee)
+   * Calculate total costs (gas + flash loan fee) for the venues the opportunity trades on
+   * Gas is paid in BNB; it is converted into the flash loan asset so it nets against the profit
    */
-  async calculateTotalCosts(path, flashLoanAmount) {
+  async calculateTotalCosts(opportunity, flashLoanAmount, blockTag = null) {
     // Calculate gas cost
-    const gasCost = await this.estimateGasCost(path);
-    
-    // Calculate flash loan fee (0.09% of borrowed amount)
-    const flashLoanFee = flashLoanAmount.multipliedBy(this.flashLoanFee);
+    const gasCostBNB = await this.estimateGasCost(opportunity, blockTag);
+    const gasCost = await this.convertFromBnb(gasCostBNB, opportunity.flashLoanAsset, blockTag);
+    
+    // Aave's premium on the borrowed amount at the rate the pool reports; Aave rounds it half up, never below
+    const premiumRate = await this.sizeOptimizer.getPremiumRate(blockTag);
+    const decimals = TokenAmount.from(opportunity.flashLoanAsset, 0).decimals;
+    const flashLoanFee = TokenAmount.from(
+      opportunity.flashLoanAsset,
+      flashLoanAmount.multipliedBy(premiumRate).decimalPlaces(decimals, BigNumber.ROUND_UP)
+    );
     
     // Total costs in the same asset as flash loan
     const totalCosts = gasCost.plus(flashLoanFee);
     
     return {
+      gasCostBNB: gasCostBNB,
       gasCost: gasCost,
       flashLoanFee: flashLoanFee,
       total: totalCosts
@@ -197,34 +373,97 @@ export class ArbitrageScanner {
   }
 
   /**
-   * Estimate gas cost for a circular arbitrage path
+   * Convert a BNB amount into the flash loan asset at live pool prices
+   */
+  async convertFromBnb(amountBnb, asset, blockTag = null) {
+    if (asset === 'WBNB') return amountBnb;
+    
+    const rate = await this.getBnbRate(asset, blockTag);
+    if (!rate) {
+      throw new Error(`No BNB price for ${asset}: cannot convert the gas cost`);
+    }
+    return TokenAmount.from(asset, amountBnb.multipliedBy(rate));
+  }
+
+  /**
+   * Convert an amount of the flash loan asset into BNB at the same rate gas was converted at
+   */
+  async convertToBnb(amount, asset, blockTag = null) {
+    if (asset === 'WBNB') return amount;
+    
+    const rate = await this.getBnbRate(asset, blockTag);
+    return rate ? TokenAmount.from('WBNB', amount.div(rate)) : null;
+  }
+
+  /**
+   * Units of an asset one BNB buys, quoted once per snapshot block
+   * Sizing a path converts gas at every size it tries, so the quote is shared
+   */
+  async getBnbRate(asset, blockTag = null) {
+    if (blockTag === null) {
+      return this.quoteBnbRate(asset, blockTag);
+    }
+    
+    if (blockTag !== this.bnbRatesBlock) {
+      this.bnbRates.clear();
+      this.bnbRatesBlock = blockTag;
+    }
+    if (!this.bnbRates.has(asset)) {
+      this.bnbRates.set(asset, this.quoteBnbRate(asset, blockTag));
+    }
+    return this.bnbRates.get(asset);
+  }
+
+  /**
+   * Best WBNB -> asset pool price for a small reference amount; the USD oracle covers assets
+   * without a WBNB pool
    */
-  async estimateGasCost(path) {
+  async quoteBnbRate(asset, blockTag = null) {
+    const referenceAmount = '0.1'; // WBNB; gas costs are far smaller, so price impact is negligible
+    const wbnb = this.getTokenAddress('WBNB');
+    const assetAddress = this.getTokenAddress(asset);
+    const quote = await this.quoteBestVenue(
+      this.priceFetcher.getDexesWithPool(wbnb, assetAddress), wbnb, assetAddress, referenceAmount, null, blockTag
+    );
+    if (quote) {
+      return new BigNumber(quote.amountOut).div(referenceAmount);
+    }
+    
+    const bnbUsd = this.usdOracle ? this.usdOracle.getPrice('WBNB') : null;
+    const assetUsd = this.usdOracle ? this.usdOracle.getPrice(asset) : null;
+    return bnbUsd && assetUsd ? new BigNumber(bnbUsd).div(assetUsd) : null;
+  }
+
+  /**
+   * Estimate gas cost for a circular arbitrage path, in BNB, at the gas oracle's price for the block
+   */
+  async estimateGasCost(opportunity, blockTag = null) {
     const baseGasPerSwap = 150000; // Base gas per swap
     const additionalGasPerHop = 30000; // Additional gas for each hop
     const flashLoanOverhead = 250000; // Flash loan setup and teardown
     const circularPathOverhead = 50000; // Additional overhead for circular validation
     
-    const totalGas = baseGasPerSwap * path.hops + 
-                    additionalGasPerHop * Math.max(0, path.hops - 2) +
+    // Every leg of a split hop is a swap of its own
+    const legs = opportunity.swapDetails.flatMap(swap => swap.legs);
+    
+    const totalGas = baseGasPerSwap * legs.length + 
+                    additionalGasPerHop * Math.max(0, opportunity.totalHops - 2) +
                     flashLoanOverhead +
                     circularPathOverhead;
     
     // Add extra gas for V3 swaps
-    const v3SwapCount = path.dexes.filter(dex => 
-      dex.includes('V3') || dex.includes('UNISWAP_V3')
+    const v3SwapCount = legs.filter(leg => 
+      leg.dex.includes('V3') || leg.dex.includes('UNISWAP_V3')
     ).length;
     const v3ExtraGas = v3SwapCount * 50000;
     
     const finalGasEstimate = totalGas + v3ExtraGas;
     
-    const gasPrice = this.gasPrice.plus(this.priorityFee);
-    const gasCostWei = new BigNumber(finalGasEstimate).multipliedBy(gasPrice).multipliedBy(new BigNumber(10).pow(9));
-    
-    // Convert to flash loan asset units (assuming BNB for now)
-    const gasCostInAsset = gasCostWei.div(new BigNumber(10).pow(18));
+    const fees = await this.gasOracle.getFees(blockTag);
+    const gasPrice = new BigNumber(this.gasOracle.getGasPrice(fees).toString()); // wei
+    const gasCostWei = new BigNumber(finalGasEstimate).multipliedBy(gasPrice);
     
-    return gasCostInAsset;
+    return gasCostWei.div(new BigNumber(10).pow(18));
   }
 
   /**
@@ -263,9 +502,9 @@ export class ArbitrageScanner {
   /**
    * Calculate price impact for a trade
    */
-  async calculatePriceImpact(dex, tokenIn, tokenOut, amountIn) {
+  async calculatePriceImpact(dex, tokenIn, tokenOut, amountIn, blockTag = null) {
     try {
-      return await this.priceFetcher.calculatePriceImpact(dex, tokenIn, tokenOut, amountIn);
+      return await this.priceFetcher.calculatePriceImpact(dex, tokenIn, tokenOut, amountIn, blockTag);
     } catch (error) {
       console.error(`Error calculating price impact:`, error.message);
       return null;
@@ -273,9 +512,9 @@ export class ArbitrageScanner {
   }
 
   /**
-   * Scan multiple circular paths concurrently
+   * Scan multiple circular paths concurrently, all pinned to the same block when blockTag is given
    */
-  async scanMultiplePaths(paths, maxConcurrent = 8) {
+  async scanMultiplePaths(paths, maxConcurrent = 8, blockTag = null) {
     const opportunities = [];
     
     // Filter to only circular paths
@@ -286,7 +525,7 @@ export class ArbitrageScanner {
     // Process paths in batches to avoid overwhelming the network
     for (let i = 0; i < circularPaths.length; i += maxConcurrent) {
       const batch = circularPaths.slice(i, i + maxConcurrent);
-      const batchPromises = batch.map(path => this.scanPath(path));
+      const batchPromises = batch.map(path => this.scanPath(path, null, blockTag));
       
       const batchResults = await Promise.allSettled(batchPromises);
       
@@ -304,9 +543,11 @@ export class ArbitrageScanner {
       }
     }
     
-    // Sort by net profitability (after all costs)
+    // Sort by net profitability (after all costs); only USD compares across flash loan assets
     const sortedOpportunities = opportunities.sort((a, b) => 
-      b.profitAfterCosts.minus(a.profitAfterCosts).toNumber()
+      a.profitUSD && b.profitUSD
+        ? b.profitUSD.minus(a.profitUSD).toNumber()
+        : b.netROI.minus(a.netROI).toNumber()
     );
     
     console.log(`Found ${sortedOpportunities.length} profitable circular arbitrage opportunities`);
@@ -317,8 +558,8 @@ export class ArbitrageScanner {
   /**
    * Find best circular arbitrage opportunity
    */
-  async findBestCircularOpportunity(paths) {
-    const opportunities = await this.scanMultiplePaths(paths);
+  async findBestCircularOpportunity(paths, blockTag = null) {
+    const opportunities = await this.scanMultiplePaths(paths, 8, blockTag);
     
     if (opportunities.length === 0) return null;
     
@@ -414,9 +655,6 @@ export class ArbitrageScanner {
   updateParameters(params) {
     if (params.minProfitThreshold) this.minProfitThreshold = params.minProfitThreshold;
     if (params.maxPriceImpact) this.maxPriceImpact = params.maxPriceImpact;
-    if (params.gasPrice) this.gasPrice = new BigNumber(params.gasPrice);
-    if (params.priorityFee) this.priorityFee = new BigNumber(params.priorityFee);
-    if (params.flashLoanFee) this.flashLoanFee = params.flashLoanFee;
   }
 
   /**
@@ -426,9 +664,8 @@ export class ArbitrageScanner {
     return {
       minProfitThreshold: this.minProfitThreshold,
       maxPriceImpact: this.maxPriceImpact,
-      gasPrice: this.gasPrice.toString(),
-      priorityFee: this.priorityFee.toString(),
-      flashLoanFee: this.flashLoanFee
+      gasPrice: this.gasOracle.formatFees(),
+      flashLoanFee: this.sizeOptimizer.premiumRate
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LOG_FILE = fileURLToPath(new URL('../../../data/gas-bids.jsonl', import.meta.url));
+
+/**
+ * Bid Log - Appends every gas bid and its outcome to a JSON Lines file
+ * One line per transaction sent: what the strategy bid against the floor and the expected
+ * profit, then whether and when it landed, what it paid and what it earned.
+ * Read it back to tune the bidding strategy
+ */
+export class BidLog {
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_LOG_FILE;
+    this.ready = null;
+  }
+
+  /**
+   * Append one record; bigints and BigNumbers are written as decimal strings
+   * A failed write is reported but never fails the execution that produced it
+   */
+  async record(entry) {
+    try {
+      if (!this.ready) {
+        this.ready = fs.mkdir(path.dirname(this.file), { recursive: true });
+      }
+      await this.ready;
+
+      const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }, (key, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      );
+      await fs.appendFile(this.file, line + '\n');
+    } catch (error) {
+      this.ready = null;
+      console.warn(`⚠️ Could not record gas bid: ${error.message}`);
+    }
+  }
+}
@@ -1,92 +1,181 @@
 import { ethers } from 'ethers';
 import BigNumber from 'bignumber.js';
+import { DEX_CONFIGS, AAVE_V3_POOL_ADDRESS, AAVE_V3_POOL_ABI } from '../config/dexConfig.js';
+import { ERC20_ABI } from '../config/tokenConfig.js';
+import { ARBITRAGE_FLASH_LOAN_ABI } from '../config/contractAbi.js';
+import { TokenAmount } from './tokenAmount.js';
+import { encodeSwaps } from './swapCodec.js';
+import { GasOracle } from './gasOracle.js';
+import { FloorBidStrategy } from './gasBidding.js';
+import { BidLog } from './bidLog.js';
+import { TransactionManager } from './transactionManager.js';
+import { SlippagePolicy } from './slippagePolicy.js';
 
 /**
  * Flash Loan Executor - Executes arbitrage using Aave V3 flash loans
  * Handles the complex logic of borrowing, swapping, and repaying
  */
 export class FlashLoanExecutor {
-  constructor(wallet, contractAddress) {
+  constructor(wallet, contractAddress, gasOracle = null, options = {}) {
     this.wallet = wallet;
     this.contractAddress = contractAddress;
-    this.aavePoolAddress = '0x6807dc923806fE8Fd134338EABCA509979a7e0cB'; // Aave V3 Pool on BSC
+    this.gasOracle = gasOracle || new GasOracle(wallet.provider);
+    this.bidStrategy = options.bidStrategy || new FloorBidStrategy();
+    this.bidLog = options.bidLog || new BidLog();
+    this.maxGasPrice = options.maxGasPrice ?? ethers.parseUnits('20', 'gwei'); // Hard cap on any bid, in wei
+    this.minProfitPercent = options.minProfitPercent ?? 0.5; // Simulated net profit needed to send, % of the loan
+    this.txManager = options.txManager || new TransactionManager(wallet, this.gasOracle, { maxGasPrice: this.maxGasPrice });
+    this.slippagePolicy = options.slippagePolicy || new SlippagePolicy({ minProfitPercent: this.minProfitPercent });
+    this.aavePoolAddress = AAVE_V3_POOL_ADDRESS;
     
     // Initialize contract instance
     this.initializeContract();
   }
 
   initializeContract() {
-    // Flash loan arbitrage contract ABI (key functions)
-    const contractABI = [
-      'function executeArbitrage(address asset, uint256 amount, bytes calldata params) external',
-      'function owner() external view returns (address)',
-      'function setDexRouters(address[] calldata routers) external',
-      'function emergencyWithdraw(address token) external'
-    ];
-    
+    // ABI of the compiled ArbitrageFlashLoan artifact (npm run abi:export)
     this.contract = new ethers.Contract(
       this.contractAddress,
-      contractABI,
+      ARBITRAGE_FLASH_LOAN_ABI,
       this.wallet
     );
   }
 
+  /**
+   * Check the deployed contract is the one the ABI was compiled from
+   * Every function selector in the ABI must appear in the runtime bytecode's dispatcher;
+   * throws on a missing contract or any missing selector
+   */
+  async verifyContract() {
+    const code = await this.wallet.provider.getCode(this.contractAddress);
+    if (code === '0x') {
+      throw new Error(`No contract deployed at ${this.contractAddress}`);
+    }
+    
+    const missing = [];
+    this.contract.interface.forEachFunction(fragment => {
+      if (!this.hasSelector(code, fragment.selector)) {
+        missing.push(fragment.format());
+      }
+    });
+    
+    if (missing.length > 0) {
+      throw new Error(`Deployed contract does not match the compiled ABI; missing ${missing.join(', ')}. Redeploy it or run npm run abi:export`);
+    }
+    return this.contract.interface.fragments.filter(fragment => fragment.type === 'function').length;
+  }
+
+  /**
+   * The dispatcher compares the calldata selector against each one pushed as an immediate
+   * (with leading zero bytes dropped), so look for that push at a byte boundary
+   */
+  hasSelector(code, selector) {
+    const immediate = selector.slice(2).replace(/^(00)+/, '');
+    const push = (0x5f + immediate.length / 2).toString(16) + immediate;
+    
+    for (let i = code.indexOf(push); i !== -1; i = code.indexOf(push, i + 1)) {
+      if (i % 2 === 0) return true; // code starts with '0x', so even offsets are byte aligned
+    }
+    return false;
+  }
+
   /**
    * Execute flash loan arbitrage
+   * onStateChange is told when the simulation passed ('simulated') and when the transaction
+   * was broadcast ('sent', with its hash); the result says whether it was confirmed
    */
-  async executeFlashLoanArbitrage(opportunity) {
+  async executeFlashLoanArbitrage(opportunity, onStateChange = () => {}) {
     try {
       console.log('⚡ Preparing flash loan execution...');
       
       // Prepare execution parameters
       const params = await this.prepareExecutionParams(opportunity);
       
-      // Calculate flash loan amount (use 80% of available amount to be safe)
-      const flashLoanAmount = this.calculateOptimalAmount(opportunity);
+      // Borrow exactly the size the scanner optimized and quoted
+      const flashLoanAmount = opportunity.flashLoanAmount;
       
       // Get the asset address for flash loan
       const assetAddress = this.getAssetAddress(opportunity.path[0]);
       
-      // Estimate gas
-      const gasEstimate = await this.estimateGas(assetAddress, flashLoanAmount, params);
+      // Nothing is sent unless the whole flash loan succeeds against the pending block
+      const simulatedProfit = await this.simulate(assetAddress, flashLoanAmount.toRaw(), params, opportunity.flashLoanAsset);
+      onStateChange('simulated', { simulatedProfit });
+      
+      // Estimate gas against the same block the opportunity was quoted at
+      const gasEstimate = await this.estimateGas(assetAddress, flashLoanAmount.toRaw(), params, opportunity.snapshotBlock);
       
       console.log(`💰 Flash loan amount: ${flashLoanAmount} ${opportunity.path[0]}`);
-      console.log(`⛽ Estimated gas: ${gasEstimate}`);
+      // Bid from the same fees the safety checks and profit estimate used
+      const fees = await this.gasOracle.getFees();
+      const bid = this.placeBid(opportunity, fees, gasEstimate);
+      console.log(`⛽ Estimated gas: ${gasEstimate} at ${this.gasOracle.formatFees(fees)}`);
+      console.log(`🏷️ Gas bid: ${ethers.formatUnits(bid.gasPrice, 'gwei')} gwei (${bid.strategy}: ${bid.reason})`);
       
-      // Execute the flash loan
-      const tx = await this.contract.executeArbitrage(
+      // The simulated profit has repaid loan and premium; it must still cover the gas bid
+      const simulatedNet = simulatedProfit.minus(this.getBidCost(bid, opportunity));
+      const simulatedROI = simulatedNet.div(flashLoanAmount).multipliedBy(100);
+      console.log(`🧪 Simulated profit: ${simulatedProfit.toFixed(6)} ${opportunity.flashLoanAsset}, ${simulatedNet.toFixed(6)} after gas (expected ${opportunity.profitAfterCosts.toFixed(6)})`);
+      
+      if (simulatedROI.lt(this.minProfitPercent)) {
+        return {
+          success: false,
+          error: `Simulated profit ${simulatedROI.toFixed(4)}% after gas is below ${this.minProfitPercent}%`,
+          reason: 'SIMULATED_PROFIT_TOO_LOW',
+          simulatedProfit
+        };
+      }
+      
+      // Execute the flash loan; the transaction manager assigns the nonce and follows the
+      // transaction through speed-ups or a cancellation to its outcome
+      const request = await this.contract.executeArbitrage.populateTransaction(
         assetAddress,
-        ethers.parseUnits(flashLoanAmount.toString(), 18),
+        flashLoanAmount.toRaw(),
         params,
         {
           gasLimit: gasEstimate,
-          gasPrice: ethers.parseUnits('5', 'gwei')
+          ...this.gasOracle.getTxOverrides(fees, bid.gasPrice)
         }
       );
       
-      console.log(`📝 Transaction submitted: ${tx.hash}`);
+      let sent;
+      try {
+        sent = await this.txManager.send(request, txHash => onStateChange('sent', { txHash }));
+      } catch (error) {
+        await this.bidLog.record({ ...bid, outcome: 'not-sent', error: error.message });
+        throw error;
+      }
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const { status, receipt, hash } = sent;
+      const attempts = sent.attempts.filter(attempt => attempt.hash !== null).map(({ kind, hash, fees, block }) => ({ kind, hash, fees, block }));
+      console.log(`📝 Transaction ${status} after ${sent.blocksPending} blocks (nonce ${sent.nonce}, ${attempts.length} sent)${hash ? `: ${hash}` : ''}`);
       
-      if (receipt.status === 1) {
-        const actualProfit = await this.calculateActualProfit(receipt, opportunity);
+      if (status === 'included') {
+        const actualProfit = await this.calculateActualProfit(receipt, opportunity, assetAddress);
+        await this.bidLog.record({ ...bid, ...this.describeReceipt(receipt, opportunity), outcome: status, attempts, actualProfit });
         
         return {
           success: true,
-          txHash: tx.hash,
+          txHash: hash,
           gasUsed: receipt.gasUsed.toString(),
           actualProfit: actualProfit,
           blockNumber: receipt.blockNumber
         };
-      } else {
-        return {
-          success: false,
-          error: 'Transaction failed',
-          txHash: tx.hash
-        };
       }
       
+      // Reverted, cancelled, replaced or dropped: the arbitrage did not happen
+      await this.bidLog.record({
+        ...bid,
+        ...(receipt ? this.describeReceipt(receipt, opportunity) : { txHash: hash }),
+        outcome: status,
+        attempts
+      });
+      return {
+        success: false,
+        error: `Transaction ${status}`,
+        reason: `TRANSACTION_${status.toUpperCase()}`,
+        txHash: hash
+      };
+      
     } catch (error) {
       console.error('❌ Flash loan execution failed:', error.message);
       
@@ -98,80 +187,160 @@ export class FlashLoanExecutor {
     }
   }
 
+  /**
+   * Run executeArbitrage as a static call against the pending block
+   * Returns the profit the contract reports (its balance gain after repaying the loan and premium);
+   * a revert throws, so the transaction is never sent
+   */
+  async simulate(assetAddress, amount, params, asset) {
+    let profit;
+    try {
+      profit = await this.contract.executeArbitrage.staticCall(assetAddress, amount, params, { blockTag: 'pending' });
+    } catch (error) {
+      if (error.code === 'BAD_DATA') {
+        throw new Error('Simulation returned no profit; the contract predates executeArbitrage returning it, redeploy it');
+      }
+      throw new Error(`Simulation reverted: ${error.reason || error.shortMessage || error.message}`);
+    }
+    return TokenAmount.fromRaw(asset, profit);
+  }
+
+  /**
+   * Most the bid can cost, in the flash loan asset: the whole gas limit at the bid price,
+   * converted at the rate the scanner converted gas at
+   */
+  getBidCost(bid, opportunity) {
+    const costBNB = new BigNumber(ethers.formatEther(bid.gasPrice * bid.gasLimit));
+    if (opportunity.flashLoanAsset === 'WBNB') return costBNB;
+    
+    return opportunity.gasCostBNB.gt(0)
+      ? costBNB.multipliedBy(opportunity.gasCost).div(opportunity.gasCostBNB)
+      : new BigNumber(0);
+  }
+
+  /**
+   * Ask the bidding strategy for a gas price, capped at maxGasPrice
+   * Returns the bid with what it was based on, ready to be recorded with its outcome
+   */
+  placeBid(opportunity, fees, gasLimit) {
+    const floor = this.gasOracle.getGasPrice(fees);
+    const { gasPrice, reason } = this.bidStrategy.bid({ opportunity, floor, cap: this.maxGasPrice, gasLimit });
+    
+    return {
+      strategy: this.bidStrategy.name,
+      reason,
+      pathId: opportunity.pathId,
+      flashLoanAsset: opportunity.flashLoanAsset,
+      snapshotBlock: opportunity.snapshotBlock,
+      feeType: fees.type,
+      floor,
+      cap: this.maxGasPrice,
+      gasPrice: gasPrice < this.maxGasPrice ? gasPrice : this.maxGasPrice,
+      gasLimit: BigInt(gasLimit),
+      expectedProfit: opportunity.profitAfterCosts,
+      expectedProfitBNB: opportunity.profitBNB,
+      expectedProfitUSD: opportunity.profitUSD
+    };
+  }
+
+  /**
+   * Receipt fields a bid outcome is judged by: where it landed and what it paid
+   */
+  describeReceipt(receipt, opportunity) {
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      blocksToInclusion: Number.isInteger(opportunity.snapshotBlock) ? receipt.blockNumber - opportunity.snapshotBlock : null,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.gasPrice
+    };
+  }
+
   /**
    * Prepare execution parameters for the smart contract
+   * Minimum outputs and the deadline block come from the slippage policy
    */
   async prepareExecutionParams(opportunity) {
     const swaps = [];
+    const blockNumber = await this.wallet.provider.getBlockNumber();
+    // The premium the scanner costed the opportunity with, at the rate Aave reports
+    const limits = this.slippagePolicy.getLimits(opportunity, blockNumber, opportunity.flashLoanFee);
     
-    // Convert opportunity swaps to contract format
+    // Convert opportunity swaps to contract format; a split hop becomes consecutive legs
     for (let i = 0; i < opportunity.swapDetails.length; i++) {
       const swap = opportunity.swapDetails[i];
       
-      swaps.push({
-        dexId: this.getDexId(swap.dex),
-        tokenIn: this.getAssetAddress(swap.from),
-        tokenOut: this.getAssetAddress(swap.to),
-        amountIn: ethers.parseUnits(swap.amountIn.toString(), 18),
-        amountOutMin: ethers.parseUnits(
-          swap.amountOut.multipliedBy(0.995).toString(), // 0.5% slippage
-          18
-        ),
-        deadline: Math.floor(Date.now() / 1000) + 300 // 5 minutes
+      swap.legs.forEach((leg, j) => {
+        swaps.push({
+          dexId: this.getDexId(leg.dex),
+          tokenIn: this.getAssetAddress(swap.from),
+          tokenOut: this.getAssetAddress(swap.to),
+          amountIn: TokenAmount.from(swap.from, leg.amountIn).toRaw(),
+          amountOutMin: limits.hops[i].minimums[j].toRaw(),
+          deadlineBlock: limits.deadlineBlock,
+          extraData: this.encodeExtraData({ ...swap, dex: leg.dex, fee: leg.fee }),
+          shareBps: leg.shareBps
+        });
       });
     }
     
-    // Encode parameters
-    const encoder = ethers.AbiCoder.defaultAbiCoder();
-    return encoder.encode(
-      ['tuple(uint8 dexId, address tokenIn, address tokenOut, uint256 amountIn, uint256 amountOutMin, uint256 deadline)[]'],
-      [swaps]
-    );
+    const tolerances = limits.hops.map(hop => `${(hop.toleranceBps / 100).toFixed(2)}%`);
+    console.log(`🛡️ Slippage tolerance per hop: ${tolerances.join(' → ')}, final hop returns at least ${limits.required.toFixed(6)} ${opportunity.flashLoanAsset}, deadline block ${limits.deadlineBlock}`);
+    
+    // Encode in the SwapParams layout of the compiled contract
+    return encodeSwaps(swaps);
   }
 
   /**
-   * Calculate optimal flash loan amount
+   * Encode per-DEX swap data: the quoted fee tier for V3 swaps, empty for V2
    */
-  calculateOptimalAmount(opportunity) {
-    // Start with base amount and scale based on available liquidity
-    const baseAmount = new BigNumber('10'); // 10 units of base token
-    
-    // Adjust based on expected profit margin
-    const profitMargin = opportunity.profitPercent;
-    let multiplier = 1;
+  encodeExtraData(swap) {
+    if (!this.isV3Dex(swap.dex)) {
+      return '0x';
+    }
     
-    if (profitMargin > 2) multiplier = 5;
-    else if (profitMargin > 1) multiplier = 3;
-    else if (profitMargin > 0.5) multiplier = 2;
+    // Without a tier the contract would fall back to the 3000 fee, which may not be the pool we quoted
+    if (!swap.fee) {
+      throw new Error(`Missing V3 fee tier for ${swap.from} -> ${swap.to} on ${swap.dex}`);
+    }
     
-    return baseAmount.multipliedBy(multiplier);
+    return ethers.AbiCoder.defaultAbiCoder().encode(['uint24'], [swap.fee]);
+  }
+
+  /**
+   * Check if a DEX is Uniswap V3 style
+   */
+  isV3Dex(dexName) {
+    return DEX_CONFIGS[dexName]?.type === 'UniswapV3';
   }
 
   /**
-   * Estimate gas for the transaction
+   * Estimate gas for the transaction (amount in raw token units)
+   * With a blockTag the estimate runs against the state of that block
    */
-  async estimateGas(assetAddress, amount, params) {
+  async estimateGas(assetAddress, amount, params, blockTag = null) {
     try {
-      const gasEstimate = await this.contract.executeArbitrage.estimateGas(
-        assetAddress,
-        ethers.parseUnits(amount.toString(), 18),
-        params
-      );
+      const data = this.contract.interface.encodeFunctionData('executeArbitrage', [assetAddress, amount, params]);
+      
+      // ethers drops blockTag from estimateGas requests, so send the RPC call directly
+      const gasEstimate = BigInt(await this.wallet.provider.send('eth_estimateGas', [
+        { from: this.wallet.address, to: this.contractAddress, data },
+        blockTag !== null && blockTag !== undefined ? ethers.toQuantity(blockTag) : 'latest'
+      ]));
       
       // Add 20% buffer
       return gasEstimate * BigInt(120) / BigInt(100);
       
     } catch (error) {
-      console.error('Error estimating gas:', error.message);
-      // Return default high estimate
-      return BigInt(500000);
+      // A failed estimate means the transaction would revert; never send it on a guessed limit
+      throw new Error(`Gas estimation failed: ${error.shortMessage || error.message}`);
     }
   }
 
   /**
    * Calculate actual profit from transaction receipt
    */
-  async calculateActualProfit(receipt, opportunity) {
+  async calculateActualProfit(receipt, opportunity, assetAddress) {
     try {
       // Parse logs to find profit events
       const profitLogs = receipt.logs.filter(log => {
@@ -185,19 +354,20 @@ export class FlashLoanExecutor {
       
       if (profitLogs.length > 0) {
         const profitLog = this.contract.interface.parseLog(profitLogs[0]);
-        return new BigNumber(ethers.formatUnits(profitLog.args.profit, 18));
+        return TokenAmount.fromRaw(opportunity.flashLoanAsset, profitLog.args.profit);
       }
       
-      // Fallback: estimate based on gas used
-      const gasUsed = new BigNumber(receipt.gasUsed.toString());
-      const gasPrice = new BigNumber(receipt.gasPrice?.toString() || '5000000000');
-      const gasCost = gasUsed.multipliedBy(gasPrice).div(new BigNumber(10).pow(18));
-      
-      return opportunity.profit.minus(gasCost);
+      // Fallback: the contract keeps its profit, so its balance gain over the block is the profit
+      const token = new ethers.Contract(assetAddress, ERC20_ABI, this.wallet.provider);
+      const [before, after] = await Promise.all([
+        token.balanceOf(this.contractAddress, { blockTag: receipt.blockNumber - 1 }),
+        token.balanceOf(this.contractAddress, { blockTag: receipt.blockNumber })
+      ]);
+      return TokenAmount.fromRaw(opportunity.flashLoanAsset, after - before);
       
     } catch (error) {
       console.error('Error calculating actual profit:', error.message);
-      return new BigNumber(0);
+      return TokenAmount.from(opportunity.flashLoanAsset, 0);
     }
   }
 
@@ -247,6 +417,10 @@ export class FlashLoanExecutor {
       return 'DEADLINE_EXCEEDED';
     } else if (error.message.includes('gas')) {
       return 'GAS_ESTIMATION_FAILED';
+    } else if (error.message.includes('Simulation')) {
+      return 'SIMULATION_FAILED';
+    } else if (error.message.includes('does not cover')) {
+      return 'INSUFFICIENT_PROFIT_BUFFER';
     } else {
       return 'UNKNOWN_ERROR';
     }
@@ -258,13 +432,9 @@ export class FlashLoanExecutor {
   async checkFlashLoanAvailability(asset, amount) {
     try {
       // Check Aave pool liquidity
-      const aavePoolABI = [
-        'function getReserveData(address asset) external view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 variableBorrowIndex, uint128 currentLiquidityRate, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint8 id))'
-      ];
-      
       const aavePool = new ethers.Contract(
         this.aavePoolAddress,
-        aavePoolABI,
+        AAVE_V3_POOL_ABI,
         this.wallet
       );
       
@@ -280,13 +450,6 @@ export class FlashLoanExecutor {
     }
   }
 
-  /**
-   * Get flash loan fee
-   */
-  getFlashLoanFee() {
-    return 0.0009; // 0.09% Aave V3 flash loan fee
-  }
-
   /**
    * Emergency stop function
    */
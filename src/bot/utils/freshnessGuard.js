@@ -0,0 +1,57 @@
+/**
+ * Freshness Guard - Re-quotes an opportunity at the latest block right before it is executed
+ * An opportunity may wait in the queue, and its quotes may come from cached prices, for several
+ * blocks before a worker gets to it. Every leg is quoted again at the latest block and net
+ * profit is recomputed with that block's gas price; an opportunity whose edge fell below
+ * the threshold is dropped, and the reason is counted.
+ *
+ * Drop reasons:
+ *   STALE_NO_QUOTE              a leg's pool could not be quoted at the latest block
+ *   STALE_EDGE_BELOW_THRESHOLD  net ROI at the latest block is below minProfitPercent
+ */
+export class FreshnessGuard {
+  constructor(provider, scanner, options = {}) {
+    this.provider = provider;
+    this.scanner = scanner;
+    this.minProfitPercent = options.minProfitPercent ?? 0.5; // Net ROI the re-quote must still reach, in %
+
+    this.checked = 0;
+    this.drops = {}; // reason -> count
+  }
+
+  /**
+   * Re-quote the opportunity at the latest block
+   * Resolves to { fresh: true, opportunity, ...detail } with the re-quoted opportunity, or to
+   * { fresh: false, reason, ...detail } explaining why it was dropped
+   */
+  async check(opportunity) {
+    this.checked++;
+    const blockNumber = await this.provider.getBlockNumber();
+    const detail = {
+      scannedBlock: opportunity.snapshotBlock,
+      blockNumber,
+      scannedROI: opportunity.netROI.toFixed(4)
+    };
+
+    const requoted = await this.scanner.requote(opportunity, blockNumber);
+    if (!requoted) {
+      return this.drop('STALE_NO_QUOTE', detail);
+    }
+
+    detail.netROI = requoted.netROI.toFixed(4);
+    if (requoted.netROI.lt(this.minProfitPercent)) {
+      return this.drop('STALE_EDGE_BELOW_THRESHOLD', detail);
+    }
+
+    return { fresh: true, opportunity: requoted, ...detail };
+  }
+
+  drop(reason, detail) {
+    this.drops[reason] = (this.drops[reason] || 0) + 1;
+    return { fresh: false, reason, ...detail };
+  }
+
+  getStats() {
+    return { checked: this.checked, drops: { ...this.drops } };
+  }
+}
@@ -0,0 +1,72 @@
+import BigNumber from 'bignumber.js';
+
+/**
+ * Gas Bidding - Strategies that choose the gas price an arbitrage is sent at
+ * A strategy's bid({ opportunity, floor, cap, gasLimit }) returns { gasPrice, reason }, with
+ * prices in wei as bigints: floor is the gas oracle's current price and cap the most the bot
+ * may ever pay per gas (MAX_GAS_PRICE). Bids are never above the cap
+ */
+
+/**
+ * Floor Bid Strategy - Pays the going gas price and nothing more
+ */
+export class FloorBidStrategy {
+  constructor() {
+    this.name = 'floor';
+  }
+
+  bid({ floor, cap }) {
+    return floor > cap
+      ? { gasPrice: cap, reason: 'floor above cap' }
+      : { gasPrice: floor, reason: 'floor' };
+  }
+}
+
+/**
+ * Profit Share Bid Strategy - Bids above the floor with a share of the expected profit
+ * The premium per gas is profitShare of the expected profit in BNB spread over the gas limit,
+ * so a bid that wins still leaves the rest of the profit
+ */
+export class ProfitShareBidStrategy {
+  constructor(options = {}) {
+    this.name = 'profit-share';
+    this.profitShare = options.profitShare ?? 0.1; // Fraction of expected profit offered as premium
+  }
+
+  bid({ opportunity, floor, cap, gasLimit }) {
+    const profitBNB = opportunity.profitBNB;
+    if (!profitBNB || profitBNB.lte(0) || !gasLimit) {
+      return new FloorBidStrategy().bid({ floor, cap });
+    }
+
+    const premium = BigInt(
+      profitBNB
+        .shiftedBy(18)
+        .multipliedBy(this.profitShare)
+        .div(gasLimit.toString())
+        .integerValue(BigNumber.ROUND_DOWN)
+        .toFixed()
+    );
+    const gasPrice = floor + premium;
+
+    return gasPrice > cap
+      ? { gasPrice: cap, reason: `${this.profitShare * 100}% of profit, capped` }
+      : { gasPrice, reason: `${this.profitShare * 100}% of profit` };
+  }
+}
+
+const STRATEGIES = {
+  'floor': FloorBidStrategy,
+  'profit-share': ProfitShareBidStrategy
+};
+
+/**
+ * Build a strategy from its name (GAS_BID_STRATEGY)
+ */
+export function createBidStrategy(name, options = {}) {
+  const Strategy = STRATEGIES[name];
+  if (!Strategy) {
+    throw new Error(`Unknown gas bid strategy ${name}: use one of ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  return new Strategy(options);
+}
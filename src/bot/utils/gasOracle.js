@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+
+/**
+ * Gas Oracle - One source of gas prices for profit estimates and transactions
+ * Reads eth_feeHistory over the recent blocks up to a snapshot block: the next block's base fee
+ * plus a percentile of the priority fees paid. Nodes without fee history (or BSC blocks
+ * without priority fees) fall back to the legacy eth_gasPrice
+ */
+export class GasOracle {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.blockCount = options.blockCount || 20; // Blocks of fee history per read
+    this.percentile = options.percentile || 50; // Priority fee percentile within each block
+    this.baseFeeMultiplier = options.baseFeeMultiplier || 2n; // Headroom for base fee rises before inclusion
+
+    this.fees = null; // Newest read: { type, blockNumber, baseFee, priorityFee, gasPrice }
+    this.pending = null; // { blockTag, promise } of the last pinned read
+  }
+
+  /**
+   * Read the fee market at a block (latest when blockTag is null)
+   * Reads pinned to the same block are shared
+   */
+  async update(blockTag = null) {
+    if (blockTag !== null && this.pending && this.pending.blockTag === blockTag) {
+      return this.pending.promise;
+    }
+
+    const promise = this.readFees(blockTag).then(fees => {
+      if (!this.fees || (fees.blockNumber ?? Infinity) >= (this.fees.blockNumber ?? -1)) {
+        this.fees = fees;
+      }
+      return fees;
+    });
+
+    if (blockTag !== null) {
+      this.pending = { blockTag, promise };
+      promise.catch(() => {
+        if (this.pending && this.pending.promise === promise) this.pending = null;
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * Fees at a block; null means the newest fees already read, loading them if there are none
+   */
+  async getFees(blockTag = null) {
+    if (blockTag === null && this.fees) return this.fees;
+    return this.update(blockTag);
+  }
+
+  async readFees(blockTag) {
+    const newest = blockTag !== null ? ethers.toQuantity(blockTag) : 'latest';
+
+    try {
+      const history = await this.provider.send('eth_feeHistory', [
+        ethers.toQuantity(this.blockCount), newest, [this.percentile]
+      ]);
+      const priorityFees = (history.reward || [])
+        .map(rewards => BigInt(rewards[0]))
+        .filter(fee => fee > 0n);
+
+      if (priorityFees.length > 0) {
+        // The last base fee is the one the next block will charge
+        const baseFees = history.baseFeePerGas.map(fee => BigInt(fee));
+        return {
+          type: 'eip1559',
+          blockNumber: Number(history.oldestBlock) + history.gasUsedRatio.length - 1,
+          baseFee: baseFees[baseFees.length - 1],
+          priorityFee: this.median(priorityFees),
+          gasPrice: null
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Fee history unavailable, using eth_gasPrice: ${error.message}`);
+    }
+
+    return {
+      type: 'legacy',
+      blockNumber: blockTag,
+      baseFee: null,
+      priorityFee: null,
+      gasPrice: BigInt(await this.provider.send('eth_gasPrice', []))
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Expected price per gas in wei: base fee plus priority fee, or the legacy gas price
+   */
+  getGasPrice(fees = this.fees) {
+    if (!fees) {
+      throw new Error('Gas oracle has no fees yet; call update() first');
+    }
+    return fees.type === 'eip1559' ? fees.baseFee + fees.priorityFee : fees.gasPrice;
+  }
+
+  /**
+   * Fee fields for a transaction, optionally bidding a gas price other than the current one
+   * Under EIP-1559 a bid is paid as priority fee on top of the base fee
+   */
+  getTxOverrides(fees = this.fees, gasPrice = null) {
+    if (!fees) {
+      throw new Error('Gas oracle has no fees yet; call update() first');
+    }
+    const bid = gasPrice ?? this.getGasPrice(fees);
+    if (fees.type === 'eip1559') {
+      const priorityFee = bid > fees.baseFee ? bid - fees.baseFee : 0n;
+      return {
+        type: 2,
+        maxFeePerGas: fees.baseFee * this.baseFeeMultiplier + priorityFee,
+        maxPriorityFeePerGas: priorityFee
+      };
+    }
+    return { gasPrice: bid };
+  }
+
+  /**
+   * One-line description for logs
+   */
+  formatFees(fees = this.fees) {
+    if (!fees) return 'unknown';
+    const gwei = value => `${Number(ethers.formatUnits(value, 'gwei')).toFixed(2)} gwei`;
+    return fees.type === 'eip1559'
+      ? `base ${gwei(fees.baseFee)} + priority ${gwei(fees.priorityFee)} (block ${fees.blockNumber})`
+      : `${gwei(fees.gasPrice)} legacy`;
+  }
+}
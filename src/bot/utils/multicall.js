@@ -0,0 +1,120 @@
+import { ethers } from 'ethers';
+import { MULTICALL3_ADDRESS, MULTICALL3_ABI } from '../config/dexConfig.js';
+
+/**
+ * Multicall - Batches contract reads into Multicall3 aggregate3 calls
+ * Every call is allowed to fail on its own, so one missing pool does not sink the batch
+ */
+export class Multicall {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.contract = new ethers.Contract(
+      options.address || MULTICALL3_ADDRESS,
+      MULTICALL3_ABI,
+      provider
+    );
+    this.maxCallsPerBatch = options.maxCallsPerBatch || 250;
+    this.calls = [];
+    this.stats = {
+      batches: 0,
+      calls: 0,
+      failedCalls: 0
+    };
+  }
+
+  /**
+   * Queue a read and return its index in the results of the next execute()
+   */
+  add(target, contractInterface, method, args = []) {
+    this.calls.push({
+      target,
+      contractInterface,
+      method,
+      callData: contractInterface.encodeFunctionData(method, args)
+    });
+    return this.calls.length - 1;
+  }
+
+  /**
+   * Number of calls waiting for the next execute()
+   */
+  get size() {
+    return this.calls.length;
+  }
+
+  /**
+   * Send all queued calls and decode each result
+   * Returns one { success, value, error } entry per queued call, in queue order
+   */
+  async execute(overrides = {}) {
+    const calls = this.calls;
+    this.calls = [];
+
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const chunks = [];
+    for (let i = 0; i < calls.length; i += this.maxCallsPerBatch) {
+      chunks.push(calls.slice(i, i + this.maxCallsPerBatch));
+    }
+
+    const chunkResults = await Promise.all(chunks.map(chunk => this.executeChunk(chunk, overrides)));
+    const results = chunkResults.flat();
+
+    this.stats.batches += chunks.length;
+    this.stats.calls += calls.length;
+    this.stats.failedCalls += results.filter(result => !result.success).length;
+
+    return results;
+  }
+
+  /**
+   * Send one aggregate3 call; if the whole batch fails, every call in it is marked failed
+   */
+  async executeChunk(chunk, overrides) {
+    let returnData;
+    try {
+      returnData = await this.contract.aggregate3.staticCall(
+        chunk.map(call => ({ target: call.target, allowFailure: true, callData: call.callData })),
+        overrides
+      );
+    } catch (error) {
+      return chunk.map(() => ({ success: false, value: null, error: `Batch failed: ${error.message}` }));
+    }
+
+    return chunk.map((call, index) => this.decodeResult(call, returnData[index]));
+  }
+
+  /**
+   * Decode a single call result; reverts and undecodable data are reported per call
+   */
+  decodeResult(call, result) {
+    if (!result.success) {
+      return { success: false, value: null, error: `${call.method} reverted` };
+    }
+
+    // Calls to addresses without code succeed with empty return data
+    if (result.returnData === '0x') {
+      return { success: false, value: null, error: `${call.method} returned no data` };
+    }
+
+    try {
+      const decoded = call.contractInterface.decodeFunctionResult(call.method, result.returnData);
+      return {
+        success: true,
+        value: decoded.length === 1 ? decoded[0] : decoded,
+        error: null
+      };
+    } catch (error) {
+      return { success: false, value: null, error: `${call.method} decode failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Get batching statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
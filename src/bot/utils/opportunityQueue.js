@@ -0,0 +1,159 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Opportunity states and the states each may move on to
+ * queued -> simulated -> sent -> confirmed, with failed reachable from every live state;
+ * a queued opportunity may also expire (outlived its time-to-live) or be superseded
+ * (a newer quote of the same path replaced it)
+ */
+const TRANSITIONS = {
+  queued: ['simulated', 'failed', 'expired', 'superseded'],
+  simulated: ['sent', 'failed'],
+  sent: ['confirmed', 'failed'],
+  confirmed: [],
+  failed: [],
+  expired: [],
+  superseded: []
+};
+
+/**
+ * Opportunity Queue - Hands opportunities from the scanners to the execution workers
+ * Scans push without waiting for executions; workers take the most profitable opportunity
+ * (by expected USD profit, net ROI when either has no USD price) that is still within its
+ * time-to-live. Holds at most one opportunity per path, and none for a path being executed
+ *
+ * Events:
+ *   'state'  { opportunity, state, from }  an opportunity moved to a new state
+ */
+export class OpportunityQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.ttl = options.ttl || 3000; // Milliseconds an opportunity may wait for a worker
+
+    this.queued = []; // Sorted, most profitable first
+    this.inFlight = new Set(); // path ids being executed
+    this.waiting = []; // resolvers of workers waiting for an opportunity
+    this.isClosed = false;
+    this.counts = Object.fromEntries(Object.keys(TRANSITIONS).map(state => [state, 0])); // opportunities that reached each state
+  }
+
+  /**
+   * Queue an opportunity; returns false if its path is already being executed
+   * An opportunity already queued for the same path is superseded by the newer quote
+   */
+  push(opportunity) {
+    if (this.isClosed || this.inFlight.has(opportunity.pathId)) {
+      return false;
+    }
+
+    const existing = this.queued.findIndex(queued => queued.pathId === opportunity.pathId);
+    if (existing !== -1) {
+      this.setState(this.queued.splice(existing, 1)[0], 'superseded');
+    }
+
+    opportunity.queuedAt = Date.now();
+    this.setState(opportunity, 'queued');
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      this.inFlight.add(opportunity.pathId);
+      waiter(opportunity);
+      return true;
+    }
+
+    const index = this.queued.findIndex(queued => this.compare(opportunity, queued) < 0);
+    this.queued.splice(index === -1 ? this.queued.length : index, 0, opportunity);
+    this.expire();
+    return true;
+  }
+
+  /**
+   * Wait for the most profitable live opportunity; resolves to null once the queue is closed
+   * The caller must call release() when it is done with the opportunity
+   */
+  async take() {
+    this.expire();
+    const opportunity = this.queued.shift();
+    if (opportunity) {
+      this.inFlight.add(opportunity.pathId);
+      return opportunity;
+    }
+    if (this.isClosed) {
+      return null;
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Let the opportunity's path be queued again
+   */
+  release(opportunity) {
+    this.inFlight.delete(opportunity.pathId);
+  }
+
+  /**
+   * Move an opportunity to a new state, recording when it got there
+   */
+  setState(opportunity, state, detail = {}) {
+    const from = opportunity.state || null;
+    if (from !== null && !TRANSITIONS[from].includes(state)) {
+      throw new Error(`Opportunity ${opportunity.pathId} cannot move from ${from} to ${state}`);
+    }
+
+    opportunity.state = state;
+    opportunity.stateHistory = [...(opportunity.stateHistory || []), { state, at: Date.now(), ...detail }];
+    this.counts[state]++;
+    this.emit('state', { opportunity, state, from });
+  }
+
+  /**
+   * True once the opportunity is in a state it cannot leave
+   */
+  isSettled(opportunity) {
+    return TRANSITIONS[opportunity.state].length === 0;
+  }
+
+  /**
+   * Drop queued opportunities older than the time-to-live
+   */
+  expire() {
+    const cutoff = Date.now() - this.ttl;
+    const expired = this.queued.filter(opportunity => opportunity.queuedAt < cutoff);
+    if (expired.length === 0) return;
+
+    this.queued = this.queued.filter(opportunity => opportunity.queuedAt >= cutoff);
+    for (const opportunity of expired) {
+      this.setState(opportunity, 'expired');
+    }
+  }
+
+  /**
+   * Stop accepting opportunities, expire what is queued and wake every waiting worker
+   */
+  close() {
+    this.isClosed = true;
+    for (const opportunity of this.queued.splice(0)) {
+      this.setState(opportunity, 'expired');
+    }
+    for (const waiter of this.waiting.splice(0)) {
+      waiter(null);
+    }
+  }
+
+  /**
+   * Negative when a should be executed before b
+   */
+  compare(a, b) {
+    return a.profitUSD && b.profitUSD
+      ? b.profitUSD.minus(a.profitUSD).toNumber()
+      : b.netROI.minus(a.netROI).toNumber();
+  }
+
+  get size() {
+    return this.queued.length;
+  }
+
+  getStats() {
+    return { waiting: this.queued.length, inFlight: this.inFlight.size, states: { ...this.counts } };
+  }
+}
@@ -0,0 +1,23 @@
+import { ethers } from 'ethers';
+
+/**
+ * Pair Address - Offline derivation of Uniswap V2 style pair addresses
+ * Factories deploy pairs with CREATE2, salted with the sorted token addresses, so the
+ * address follows from the factory, the tokens and the pair contract's init code hash
+ */
+
+/**
+ * Order two token addresses the way the factory does
+ */
+export function sortTokenAddresses(tokenA, tokenB) {
+  return BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+/**
+ * CREATE2 address of the pair for two tokens (whether or not it has been deployed)
+ */
+export function computePairAddress(factory, tokenA, tokenB, initCodeHash) {
+  const [token0, token1] = sortTokenAddresses(tokenA, tokenB);
+  const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+  return ethers.getCreate2Address(factory, salt, initCodeHash);
+}
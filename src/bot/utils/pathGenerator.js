@@ -1,13 +1,14 @@
-import { TRADING_PAIRS } from '../config/tokenConfig.js';
-
 /**
  * Path Generator - Creates circular arbitrage paths for flash loans
- * All paths must start and end with the same asset to repay Aave V3 flash loan
+ * All paths must start and end with the same asset to repay Aave V3 flash loan.
+ * Which pairs trade on which DEX comes from the pool registry alone; a path fixes only
+ * the tokens, and each hop lists every DEX with a pool for its pair as a venue
  */
 export class PathGenerator {
-  constructor(tokenAddresses, dexConfigs) {
+  constructor(tokenAddresses, dexConfigs, poolRegistry) {
     this.tokenAddresses = tokenAddresses;
     this.dexConfigs = dexConfigs;
+    this.poolRegistry = poolRegistry;
     this.minHops = 2; // Minimum 2 hops (3 tokens total including start/end)
     this.maxHops = 10; // Maximum 10 hops (11 tokens total including start/end)
     this.generatedPaths = [];
@@ -68,17 +69,17 @@ export class PathGenerator {
     // If we've reached the target number of hops
     if (currentHops === targetHops) {
       // Check if we can return to start asset to complete the circle
-      const tradingPairs = TRADING_PAIRS[currentAsset] || [];
+      const tradingPairs = this.poolRegistry.getPairedTokens(currentAsset);
       if (tradingPairs.includes(startAsset)) {
         const completePath = [...currentPath, startAsset];
-        this.generateDexCombinationsForPath(completePath, startAsset);
+        this.addTokenPath(completePath, startAsset);
       }
       return;
     }
 
     // Continue exploring if we haven't reached max hops
     if (currentHops < targetHops) {
-      const tradingPairs = TRADING_PAIRS[currentAsset] || [];
+      const tradingPairs = this.poolRegistry.getPairedTokens(currentAsset);
       
       for (const nextAsset of tradingPairs) {
         // Skip if it's the start asset (unless we're at the target hop count)
@@ -112,91 +113,46 @@ export class PathGenerator {
   }
 
   /**
-   * Generate all DEX combinations for a given circular token path
+   * Add a circular token path; the scanner picks each hop's venue at quote time
    */
-  generateDexCombinationsForPath(tokenPath, flashLoanAsset) {
-    const swapCount = tokenPath.length - 1; // Number of swaps needed
-    
+  addTokenPath(tokenPath, flashLoanAsset) {
     // Ensure path is truly circular
     if (tokenPath[0] !== tokenPath[tokenPath.length - 1]) {
       console.warn(`Path is not circular: ${tokenPath.join(' → ')}`);
       return;
     }
     
-    // Generate strategic DEX combinations (not all possible combinations to avoid explosion)
-    const dexCombinations = this.generateStrategicDexCombinations(swapCount);
-    
-    for (const dexCombination of dexCombinations) {
-      // Verify this combination is valid (all pairs exist on respective DEXes)
-      if (this.validateDexCombination(tokenPath, dexCombination)) {
-        const path = {
-          id: this.generatePathId(tokenPath, dexCombination),
-          tokens: [...tokenPath],
-          dexes: [...dexCombination],
-          hops: swapCount,
-          flashLoanAsset: flashLoanAsset,
-          isCircular: true, // All paths generated here are circular
-          swaps: this.generateSwapDetails(tokenPath, dexCombination),
-          estimatedComplexity: this.calculatePathComplexity(tokenPath, dexCombination),
-          liquidityScore: this.calculateLiquidityScore(tokenPath, flashLoanAsset)
-        };
-        
-        this.generatedPaths.push(path);
-      }
-    }
+    this.generatedPaths.push(this.buildPath(tokenPath, flashLoanAsset));
   }
 
   /**
-   * Generate strategic DEX combinations (not exhaustive to prevent explosion)
+   * Build a path in the shape ArbitrageScanner.scanPath accepts
    */
-  generateStrategicDexCombinations(swapCount) {
-    const combinations = [];
-    
-    // Strategy 1: Use different DEXes for each swap (maximum arbitrage potential)
-    if (swapCount <= this.dexNames.length) {
-      for (let i = 0; i < this.dexNames.length - swapCount + 1; i++) {
-        const combination = [];
-        for (let j = 0; j < swapCount; j++) {
-          combination.push(this.dexNames[(i + j) % this.dexNames.length]);
-        }
-        combinations.push(combination);
-      }
-    }
-    
-    // Strategy 2: Alternate between high-liquidity DEXes
-    const highLiquidityDexes = ['PANCAKESWAP_V2', 'PANCAKESWAP_V3', 'BISWAP'];
-    for (let i = 0; i < Math.min(3, swapCount); i++) {
-      const combination = [];
-      for (let j = 0; j < swapCount; j++) {
-        combination.push(highLiquidityDexes[(i + j) % highLiquidityDexes.length]);
-      }
-      combinations.push(combination);
-    }
-    
-    // Strategy 3: Mixed V2/V3 combinations
-    if (swapCount >= 2) {
-      const v2Dexes = ['PANCAKESWAP_V2', 'BISWAP', 'MDEX', 'APESWAP'];
-      const v3Dexes = ['PANCAKESWAP_V3', 'UNISWAP_V3'];
-      
-      // V2 → V3 → V2 pattern
-      for (let i = 0; i < Math.min(2, swapCount - 1); i++) {
-        const combination = [];
-        for (let j = 0; j < swapCount; j++) {
-          if (j % 2 === 0) {
-            combination.push(v2Dexes[i % v2Dexes.length]);
-          } else {
-            combination.push(v3Dexes[i % v3Dexes.length]);
-          }
-        }
-        combinations.push(combination);
-      }
+  buildPath(tokenPath, flashLoanAsset) {
+    const venues = this.getVenues(tokenPath);
+    return {
+      id: this.generatePathId(tokenPath),
+      tokens: [...tokenPath],
+      venues: venues,
+      hops: tokenPath.length - 1,
+      flashLoanAsset: flashLoanAsset,
+      isCircular: true, // All paths generated here are circular
+      swaps: this.generateSwapDetails(tokenPath, venues),
+      estimatedComplexity: this.calculatePathComplexity(tokenPath, venues),
+      liquidityScore: this.calculateLiquidityScore(tokenPath, flashLoanAsset)
+    };
+  }
+
+  /**
+   * DEXes with a pool with liquidity for each hop of a token path
+   */
+  getVenues(tokenPath) {
+    const venues = [];
+    for (let i = 0; i < tokenPath.length - 1; i++) {
+      const pools = this.poolRegistry.getPools(tokenPath[i], tokenPath[i + 1]);
+      venues.push([...new Set(pools.map(pool => pool.dex))]);
     }
-    
-    // Strategy 4: Single DEX with highest volume (for comparison)
-    combinations.push(new Array(swapCount).fill('PANCAKESWAP_V2'));
-    combinations.push(new Array(swapCount).fill('PANCAKESWAP_V3'));
-    
-    return combinations;
+    return venues;
   }
 
   /**
@@ -278,9 +234,8 @@ export class PathGenerator {
       // Must have minimum liquidity score
       if (path.liquidityScore < 15) return false;
       
-      // Must have at least 2 different DEXes for meaningful arbitrage (except for very short paths)
-      const uniqueDexes = new Set(path.dexes);
-      if (uniqueDexes.size < 2 && path.hops > 3) return false;
+      // Every hop needs somewhere to trade
+      if (path.venues.some(hopVenues => hopVenues.length === 0)) return false;
       
       // Flash loan asset must be valid
       if (!this.flashLoanAssets.includes(path.flashLoanAsset)) return false;
@@ -334,90 +289,24 @@ export class PathGenerator {
   }
 
   /**
-   * Get paths by flash loan asset for scanning rotation
+   * Get paths by flash loan asset
    */
   getPathsByFlashLoanAsset(asset) {
     return this.generatedPaths.filter(path => path.flashLoanAsset === asset);
   }
 
-  /**
-   * Get paths for current scan cycle (rotate through different assets and hop counts)
-   */
-  getPathsForScanCycle(scanIndex) {
-    const assetIndex = scanIndex % this.flashLoanAssets.length;
-    const currentAsset = this.flashLoanAssets[assetIndex];
-    
-    // Get paths for current flash loan asset
-    const assetPaths = this.getPathsByFlashLoanAsset(currentAsset);
-    
-    // Further filter by hop count based on scan cycle
-    const hopCycle = Math.floor(scanIndex / this.flashLoanAssets.length) % 4;
-    
-    let filteredPaths;
-    switch (hopCycle) {
-      case 0:
-        // Short paths (2-3 hops)
-        filteredPaths = assetPaths.filter(p => p.hops >= 2 && p.hops <= 3);
-        break;
-      case 1:
-        // Medium paths (4-5 hops)
-        filteredPaths = assetPaths.filter(p => p.hops >= 4 && p.hops <= 5);
-        break;
-      case 2:
-        // Long paths (6-8 hops)
-        filteredPaths = assetPaths.filter(p => p.hops >= 6 && p.hops <= 8);
-        break;
-      case 3:
-        // Very long paths (9-10 hops)
-        filteredPaths = assetPaths.filter(p => p.hops >= 9 && p.hops <= 10);
-        break;
-      default:
-        filteredPaths = assetPaths;
-    }
-    
-    // Return top 25 paths for this cycle
-    return filteredPaths.slice(0, 25);
-  }
-
-  /**
-   * Validate that a DEX combination is valid for the token path
-   */
-  validateDexCombination(tokenPath, dexCombination) {
-    for (let i = 0; i < dexCombination.length; i++) {
-      const tokenIn = tokenPath[i];
-      const tokenOut = tokenPath[i + 1];
-      const dex = dexCombination[i];
-      
-      // Check if this token pair is likely to exist on this DEX
-      if (!this.isPairLikelyToExist(tokenIn, tokenOut, dex)) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Check if a token pair is likely to exist on a specific DEX
-   */
-  isPairLikelyToExist(tokenIn, tokenOut, dex) {
-    // Basic validation - in production, you'd check actual pair existence
-    const tradingPairs = TRADING_PAIRS[tokenIn] || [];
-    return tradingPairs.includes(tokenOut);
-  }
-
   /**
    * Generate swap details for a path
    */
-  generateSwapDetails(tokenPath, dexCombination) {
+  generateSwapDetails(tokenPath, venues) {
     const swaps = [];
     
-    for (let i = 0; i < dexCombination.length; i++) {
+    for (let i = 0; i < venues.length; i++) {
       swaps.push({
         index: i,
         tokenIn: tokenPath[i],
         tokenOut: tokenPath[i + 1],
-        dex: dexCombination[i],
-        dexConfig: this.dexConfigs[dexCombination[i]]
+        venues: venues[i]
       });
     }
     
@@ -427,19 +316,19 @@ export class PathGenerator {
   /**
    * Calculate path complexity score
    */
-  calculatePathComplexity(tokenPath, dexCombination) {
+  calculatePathComplexity(tokenPath, venues) {
     let complexity = 0;
     
     // Add complexity for number of hops
     complexity += (tokenPath.length - 1) * 10;
     
     // Add complexity for DEX diversity (good for arbitrage)
-    const uniqueDexes = new Set(dexCombination);
+    const uniqueDexes = new Set(venues.flat());
     complexity += uniqueDexes.size * 5;
     
-    // Add complexity for V3 DEXes (higher gas costs)
-    const v3Count = dexCombination.filter(dex => 
-      this.dexConfigs[dex]?.type === 'UniswapV3'
+    // Add complexity for hops only V3 DEXes can trade (higher gas costs)
+    const v3Count = venues.filter(hopVenues => 
+      hopVenues.every(dex => this.dexConfigs[dex]?.type === 'UniswapV3')
     ).length;
     complexity += v3Count * 15;
     
@@ -452,7 +341,7 @@ export class PathGenerator {
   removeDuplicatePaths(paths) {
     const seen = new Set();
     return paths.filter(path => {
-      const key = `${path.tokens.join('-')}:${path.dexes.join('-')}`;
+      const key = path.tokens.join('-');
       if (seen.has(key)) {
         return false;
       }
@@ -464,10 +353,8 @@ export class PathGenerator {
   /**
    * Generate unique ID for a path
    */
-  generatePathId(tokenPath, dexCombination) {
-    const tokenStr = tokenPath.join('-');
-    const dexStr = dexCombination.join('-');
-    const hash = this.simpleHash(`${tokenStr}:${dexStr}`);
+  generatePathId(tokenPath) {
+    const hash = this.simpleHash(tokenPath.join('-'));
     return `arb_${hash}`;
   }
 
@@ -527,7 +414,7 @@ export class PathGenerator {
         (stats.byFlashLoanAsset[path.flashLoanAsset] || 0) + 1;
       
       // Count DEX usage
-      for (const dex of path.dexes) {
+      for (const dex of new Set(path.venues.flat())) {
         stats.byDexUsage[dex] = (stats.byDexUsage[dex] || 0) + 1;
       }
       
@@ -0,0 +1,290 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { FACTORY_ABI, FACTORY_V3_ABI, PAIR_ABI, POOL_V3_ABI } from '../config/dexConfig.js';
+import { Multicall } from './multicall.js';
+import { computePairAddress } from './pairAddress.js';
+
+const DEFAULT_CACHE_FILE = fileURLToPath(new URL('../../../data/pool-registry.json', import.meta.url));
+const CACHE_VERSION = 1;
+
+/**
+ * Pool Registry - Which pools actually exist, discovered from the DEX factories
+ * Derives V2 pair addresses with CREATE2 (a pair exists if it answers getReserves) and asks
+ * every V3 factory for getPool at each fee tier; records address, fee tier and liquidity,
+ * and caches the result on disk.
+ * Path generation consults only this registry
+ */
+export class PoolRegistry {
+  constructor(provider, dexConfigs, tokenAddresses, options = {}) {
+    this.provider = provider;
+    this.dexConfigs = dexConfigs;
+    this.tokenAddresses = tokenAddresses;
+    this.cacheFile = options.cacheFile || DEFAULT_CACHE_FILE;
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // Refresh the disk cache daily
+    this.multicall = options.multicall || new Multicall(provider);
+    this.interfaces = {
+      factory: new ethers.Interface(FACTORY_ABI),
+      factoryV3: new ethers.Interface(FACTORY_V3_ABI),
+      pair: new ethers.Interface(PAIR_ABI),
+      poolV3: new ethers.Interface(POOL_V3_ABI)
+    };
+
+    this.pools = []; // { dex, type, address, token0, token1, fee, liquidity }
+    this.byPair = new Map(); // 'SYMBOL_A/SYMBOL_B' (sorted) -> pools
+    this.pairedTokens = new Map(); // symbol -> symbols it shares a pool with liquidity with
+    this.updatedAt = null;
+  }
+
+  /**
+   * Load the disk cache, refreshing from the factories when it is missing or stale
+   */
+  async ensureLoaded() {
+    const loaded = await this.load();
+    if (loaded && Date.now() - this.updatedAt < this.maxAge) {
+      console.log(`📚 Pool registry: ${this.pools.length} pools from ${this.cacheFile}`);
+      return;
+    }
+
+    console.log(`📚 Pool registry ${loaded ? 'is stale' : 'not cached'}, querying factories...`);
+    await this.refresh();
+    await this.save();
+  }
+
+  /**
+   * Find every pool for every token pair, then read each pool's liquidity
+   */
+  async refresh() {
+    const symbols = Object.keys(this.tokenAddresses);
+    const lookups = [];
+    const pools = [];
+
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        const [token0, token1] = this.sortSymbols(symbols[i], symbols[j]);
+        const address0 = this.tokenAddresses[token0].address;
+        const address1 = this.tokenAddresses[token1].address;
+
+        for (const [dex, config] of Object.entries(this.dexConfigs)) {
+          if (config.type === 'UniswapV2' && config.initCodeHash) {
+            const address = computePairAddress(config.factory, address0, address1, config.initCodeHash);
+            pools.push({ dex, type: 'v2', token0, token1, fee: null, address });
+          } else if (config.type === 'UniswapV2') {
+            lookups.push({
+              dex, type: 'v2', token0, token1, fee: null,
+              index: this.multicall.add(config.factory, this.interfaces.factory, 'getPair', [address0, address1])
+            });
+          } else if (config.type === 'UniswapV3') {
+            for (const fee of config.fees) {
+              lookups.push({
+                dex, type: 'v3', token0, token1, fee,
+                index: this.multicall.add(config.factory, this.interfaces.factoryV3, 'getPool', [address0, address1, fee])
+              });
+            }
+          }
+        }
+      }
+    }
+
+    const lookupResults = await this.multicall.execute();
+    if (lookupResults.length > 0 && lookupResults.every(result => !result.success)) {
+      // An unreachable node must not be cached as "no pools exist"
+      throw new Error(`Pool registry refresh failed: ${lookupResults[0].error}`);
+    }
+
+    for (const lookup of lookups) {
+      const result = lookupResults[lookup.index];
+      if (!result.success || result.value === ethers.ZeroAddress) continue;
+
+      const { index, ...pool } = lookup;
+      pools.push({ ...pool, address: result.value });
+    }
+
+    // Second round trip: reserves for V2 pairs, active liquidity for V3 pools
+    const liquidityReads = pools.map(pool => pool.type === 'v2'
+      ? this.multicall.add(pool.address, this.interfaces.pair, 'getReserves')
+      : this.multicall.add(pool.address, this.interfaces.poolV3, 'liquidity'));
+    const liquidityResults = await this.multicall.execute();
+    if (liquidityResults.length > 0 && liquidityResults.every(result => !result.success)) {
+      throw new Error(`Pool registry refresh failed: ${liquidityResults[0].error}`);
+    }
+
+    const existing = pools.filter((pool, i) => {
+      const result = liquidityResults[liquidityReads[i]];
+      if (!result.success) {
+        // A derived V2 address without a deployed pair has no code to answer
+        if (pool.type === 'v2') return false;
+        pool.liquidity = null;
+      } else if (pool.type === 'v2') {
+        pool.liquidity = { reserve0: result.value[0].toString(), reserve1: result.value[1].toString() };
+      } else {
+        pool.liquidity = { liquidity: result.value.toString() };
+      }
+      return true;
+    });
+
+    this.setPools(existing, Date.now());
+    console.log(`📚 Pool registry refreshed: ${existing.length} pools across ${Object.keys(this.dexConfigs).length} DEXes`);
+    return this.pools;
+  }
+
+  /**
+   * Read the disk cache; returns false when there is none or it does not match this configuration
+   */
+  async load() {
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+
+    if (json.version !== CACHE_VERSION || json.fingerprint !== this.getFingerprint()) {
+      return false;
+    }
+
+    this.setPools(json.pools, json.updatedAt);
+    return true;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(this.cacheFile, JSON.stringify({
+      version: CACHE_VERSION,
+      fingerprint: this.getFingerprint(),
+      updatedAt: this.updatedAt,
+      pools: this.pools
+    }, null, 2));
+  }
+
+  /**
+   * Tokens, DEX factories and fee tiers the registry was built for; a change invalidates the cache
+   */
+  getFingerprint() {
+    const tokens = Object.entries(this.tokenAddresses).map(([symbol, token]) => `${symbol}:${token.address.toLowerCase()}`);
+    const dexes = Object.entries(this.dexConfigs).map(([dex, config]) =>
+      `${dex}:${config.factory.toLowerCase()}:${(config.fees || []).join('/')}`
+    );
+    return [...tokens, ...dexes].join(',');
+  }
+
+  setPools(pools, updatedAt) {
+    this.pools = pools;
+    this.updatedAt = updatedAt;
+    this.byPair.clear();
+    this.pairedTokens.clear();
+
+    for (const pool of pools) {
+      const key = this.getPairKey(pool.token0, pool.token1);
+      if (!this.byPair.has(key)) {
+        this.byPair.set(key, []);
+      }
+      this.byPair.get(key).push(pool);
+
+      if (this.hasLiquidity(pool)) {
+        this.addPairedToken(pool.token0, pool.token1);
+        this.addPairedToken(pool.token1, pool.token0);
+      }
+    }
+  }
+
+  addPairedToken(symbol, pairedSymbol) {
+    const paired = this.pairedTokens.get(symbol) || [];
+    if (!paired.includes(pairedSymbol)) {
+      paired.push(pairedSymbol);
+    }
+    this.pairedTokens.set(symbol, paired);
+  }
+
+  /**
+   * Pools with liquidity for a pair, optionally on one DEX
+   */
+  getPools(tokenA, tokenB, dex = null) {
+    return (this.byPair.get(this.getPairKey(tokenA, tokenB)) || [])
+      .filter(pool => (dex === null || pool.dex === dex) && this.hasLiquidity(pool));
+  }
+
+  /**
+   * Every token pair with at least one pool with liquidity, as [symbolA, symbolB]
+   */
+  getTradingPairs() {
+    return [...this.byPair.entries()]
+      .filter(([, pools]) => pools.some(pool => this.hasLiquidity(pool)))
+      .map(([key]) => key.split('/'));
+  }
+
+  hasPool(tokenA, tokenB, dex = null) {
+    return this.getPools(tokenA, tokenB, dex).length > 0;
+  }
+
+  /**
+   * Tokens that share at least one pool with liquidity with the given token, on any DEX
+   */
+  getPairedTokens(symbol) {
+    return this.pairedTokens.get(symbol) || [];
+  }
+
+  hasLiquidity(pool) {
+    if (!pool.liquidity) return false;
+    return pool.type === 'v2'
+      ? BigInt(pool.liquidity.reserve0) > 0n && BigInt(pool.liquidity.reserve1) > 0n
+      : BigInt(pool.liquidity.liquidity) > 0n;
+  }
+
+  /**
+   * Seed the price fetcher's address caches so it does not repeat the factory lookups;
+   * combinations with no pool are cached as the zero address
+   */
+  applyTo(priceFetcher) {
+    const symbols = Object.keys(this.tokenAddresses);
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        const addressA = this.tokenAddresses[symbols[i]].address;
+        const addressB = this.tokenAddresses[symbols[j]].address;
+        const pools = this.byPair.get(this.getPairKey(symbols[i], symbols[j])) || [];
+
+        for (const [dex, config] of Object.entries(this.dexConfigs)) {
+          if (config.type === 'UniswapV2') {
+            const pool = pools.find(p => p.dex === dex);
+            priceFetcher.v2Engine.cachePairAddress(dex, addressA, addressB, pool ? pool.address : ethers.ZeroAddress);
+          } else if (config.type === 'UniswapV3') {
+            for (const fee of config.fees) {
+              const pool = pools.find(p => p.dex === dex && p.fee === fee);
+              priceFetcher.v3Pools.set(
+                priceFetcher.getV3PoolKey(dex, addressA, addressB, fee),
+                pool ? pool.address : ethers.ZeroAddress
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Order two symbols like the pool does: by token address
+   */
+  sortSymbols(symbolA, symbolB) {
+    const addressA = this.tokenAddresses[symbolA].address.toLowerCase();
+    const addressB = this.tokenAddresses[symbolB].address.toLowerCase();
+    return addressA < addressB ? [symbolA, symbolB] : [symbolB, symbolA];
+  }
+
+  getPairKey(tokenA, tokenB) {
+    return tokenA < tokenB ? `${tokenA}/${tokenB}` : `${tokenB}/${tokenA}`;
+  }
+
+  getStats() {
+    const byDex = {};
+    for (const pool of this.pools) {
+      byDex[pool.dex] = (byDex[pool.dex] || 0) + 1;
+    }
+    return {
+      pools: this.pools.length,
+      withLiquidity: this.pools.filter(pool => this.hasLiquidity(pool)).length,
+      byDex,
+      updatedAt: this.updatedAt
+    };
+  }
+}
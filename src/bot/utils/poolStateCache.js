@@ -0,0 +1,405 @@
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { TOKEN_ADDRESSES } from '../config/tokenConfig.js';
+
+const SYNC_EVENT = 'event Sync(uint112 reserve0, uint112 reserve1)';
+const UNISWAP_V3_SWAP_EVENT = 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)';
+const PANCAKESWAP_V3_SWAP_EVENT = 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)';
+const MINT_EVENT = 'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)';
+const BURN_EVENT = 'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)';
+
+/**
+ * Pool State Cache - Keeps V2 reserves and V3 tick state current from log subscriptions
+ * Subscribes to Sync events on V2 pairs and Swap events on V3 pools used by the generated
+ * paths, and emits an 'update' event with the paths whose pools changed
+ *
+ * Events:
+ *   'update'  { blockNumber, pools, pathIds }  pools changed in a block
+ *   'resync'  {}                               state was reloaded after a (re)connect
+ */
+export class PoolStateCache extends EventEmitter {
+  constructor(wsUrl, priceFetcher, options = {}) {
+    super();
+    this.wsUrl = wsUrl;
+    this.priceFetcher = priceFetcher;
+    this.flushDelay = options.flushDelay || 100; // Logs of one block arrive together; batch them
+    this.reconnectDelay = options.reconnectDelay || 2000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+    this.provider = null;
+    this.isRunning = false;
+    this.isReconnecting = false;
+    this.reconnectAttempts = 0;
+    this.pools = new Map(); // address -> { type, dexName, token0, token1 }
+    this.poolPaths = new Map(); // address -> Set of path ids
+    this.tokenPairs = [];
+    this.pendingPools = new Set();
+    this.pendingBlock = 0;
+    this.flushTimer = null;
+    this.reloads = new Map(); // V3 pool address -> block to reload it at, after a Mint or Burn
+
+    this.eventInterface = new ethers.Interface([
+      SYNC_EVENT,
+      UNISWAP_V3_SWAP_EVENT,
+      MINT_EVENT,
+      BURN_EVENT
+    ]);
+    this.pancakeSwapInterface = new ethers.Interface([PANCAKESWAP_V3_SWAP_EVENT]);
+    this.topics = {
+      sync: this.eventInterface.getEvent('Sync').topicHash,
+      uniswapV3Swap: this.eventInterface.getEvent('Swap').topicHash,
+      pancakeSwapV3Swap: this.pancakeSwapInterface.getEvent('Swap').topicHash,
+      mint: this.eventInterface.getEvent('Mint').topicHash,
+      burn: this.eventInterface.getEvent('Burn').topicHash
+    };
+
+    this.stats = {
+      syncEvents: 0,
+      swapEvents: 0,
+      liquidityEvents: 0,
+      updates: 0,
+      reconnects: 0
+    };
+  }
+
+  /**
+   * Map every pool used by the paths to the paths that use it
+   */
+  async watchPaths(paths) {
+    const pairs = new Map();
+    const hops = [];
+
+    for (const path of paths) {
+      for (let i = 0; i < path.venues.length; i++) {
+        const tokenIn = this.getTokenAddress(path.tokens[i]);
+        const tokenOut = this.getTokenAddress(path.tokens[i + 1]);
+        const [token0, token1] = this.priceFetcher.v2Engine.sortTokens(tokenIn, tokenOut);
+        pairs.set(`${token0}/${token1}`, [token0, token1]);
+        for (const dexName of path.venues[i]) {
+          hops.push({ pathId: path.id, dexName, token0, token1 });
+        }
+      }
+    }
+
+    this.tokenPairs = [...pairs.values()];
+    await this.priceFetcher.resolvePoolAddresses(this.tokenPairs);
+
+    this.pools.clear();
+    this.poolPaths.clear();
+
+    for (const { pathId, dexName, token0, token1 } of hops) {
+      for (const pool of this.getPoolsForHop(dexName, token0, token1)) {
+        this.pools.set(pool.address, pool);
+        if (!this.poolPaths.has(pool.address)) {
+          this.poolPaths.set(pool.address, new Set());
+        }
+        this.poolPaths.get(pool.address).add(pathId);
+      }
+    }
+
+    console.log(`👀 Watching ${this.pools.size} pools across ${paths.length} paths`);
+  }
+
+  /**
+   * All known pools a hop can trade through (every fee tier for V3 DEXes)
+   */
+  getPoolsForHop(dexName, token0, token1) {
+    const config = this.priceFetcher.dexConfigs[dexName];
+    const pools = [];
+
+    if (config?.type === 'UniswapV2') {
+      const address = this.priceFetcher.v2Engine.getCachedPairAddress(dexName, token0, token1);
+      if (address && address !== ethers.ZeroAddress) {
+        pools.push({ address: address.toLowerCase(), type: 'v2', dexName, token0, token1 });
+      }
+    } else if (config?.type === 'UniswapV3') {
+      for (const fee of config.fees) {
+        const address = this.priceFetcher.v3Pools.get(this.priceFetcher.getV3PoolKey(dexName, token0, token1, fee));
+        if (address && address !== ethers.ZeroAddress) {
+          pools.push({ address: address.toLowerCase(), type: 'v3', dexName, token0, token1, fee });
+        }
+      }
+    }
+
+    return pools;
+  }
+
+  /**
+   * Connect, subscribe to pool events and load the initial state
+   */
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      await this.connect();
+    } catch (error) {
+      this.isRunning = false;
+      await this.destroyProvider();
+      throw error;
+    }
+  }
+
+  async connect() {
+    this.provider = new ethers.WebSocketProvider(this.wsUrl);
+    const websocket = this.provider.websocket;
+
+    await new Promise((resolve, reject) => {
+      websocket.addEventListener('open', resolve, { once: true });
+      websocket.addEventListener('error', () => reject(new Error(`Cannot connect to ${this.wsUrl}`)), { once: true });
+    });
+    websocket.onerror = error => console.error('❌ Pool event stream error:', error.message);
+    websocket.onclose = () => this.handleDisconnect();
+
+    const addresses = [...this.pools.keys()];
+    const v2Addresses = addresses.filter(address => this.pools.get(address).type === 'v2');
+    const v3Addresses = addresses.filter(address => this.pools.get(address).type === 'v3');
+
+    // Subscribe before loading so no update between the load and the subscription is lost
+    if (v2Addresses.length > 0) {
+      await this.provider.on(
+        { address: v2Addresses, topics: [this.topics.sync] },
+        log => this.handleLog(log)
+      );
+    }
+    if (v3Addresses.length > 0) {
+      await this.provider.on(
+        {
+          address: v3Addresses,
+          topics: [[this.topics.uniswapV3Swap, this.topics.pancakeSwapV3Swap, this.topics.mint, this.topics.burn]]
+        },
+        log => this.handleLog(log)
+      );
+    }
+
+    await this.resync();
+    this.reconnectAttempts = 0;
+    console.log(`🔌 Pool state cache subscribed to ${v2Addresses.length} V2 pairs and ${v3Addresses.length} V3 pools`);
+  }
+
+  /**
+   * Reload every watched pool at one block and mark the cached state as live
+   */
+  async resync() {
+    const blockNumber = await this.priceFetcher.provider.getBlockNumber();
+    await this.priceFetcher.getAllPrices(this.tokenPairs, '1', blockNumber);
+
+    for (const pool of this.pools.values()) {
+      this.setLive(pool, true);
+    }
+
+    this.emit('resync', {});
+  }
+
+  /**
+   * Apply a Sync, Swap, Mint or Burn log to the cached pool state
+   */
+  handleLog(log) {
+    const address = log.address.toLowerCase();
+    const pool = this.pools.get(address);
+    if (!pool) return;
+
+    try {
+      const topic = log.topics[0];
+
+      if (topic === this.topics.sync) {
+        const { args } = this.eventInterface.parseLog(log);
+        this.priceFetcher.v2Engine.setReserves(address, pool.token0, args.reserve0, args.reserve1, log.blockNumber);
+        this.stats.syncEvents++;
+      } else if (topic === this.topics.uniswapV3Swap || topic === this.topics.pancakeSwapV3Swap) {
+        const parser = topic === this.topics.uniswapV3Swap ? this.eventInterface : this.pancakeSwapInterface;
+        const { args } = parser.parseLog(log);
+        if (this.reloads.has(address)) {
+          // The reload after a liquidity change must also cover this swap
+          this.reloads.set(address, Math.max(this.reloads.get(address), log.blockNumber));
+          this.stats.swapEvents++;
+          return;
+        }
+        const state = this.priceFetcher.v3Simulator.getPoolState(address);
+        // Logs already reflected in a state read at a later block are skipped
+        if (state && (state.blockNumber === null || log.blockNumber >= state.blockNumber)) {
+          // Swaps move price, tick and active liquidity; initialized ticks are unchanged
+          state.sqrtPriceX96 = args.sqrtPriceX96;
+          state.tick = Number(args.tick);
+          state.liquidity = args.liquidity;
+          state.blockNumber = log.blockNumber;
+        }
+        this.stats.swapEvents++;
+      } else if (topic === this.topics.mint || topic === this.topics.burn) {
+        // Liquidity changes touch tick data: drop the cached state now, so no quote uses it,
+        // and read the pool again at the block of the change
+        this.priceFetcher.v3Simulator.invalidate(address);
+        this.priceFetcher.invalidatePair(pool.dexName, pool.token0, pool.token1);
+        this.stats.liquidityEvents++;
+        this.reloadPool(pool, log.blockNumber);
+        return;
+      } else {
+        return;
+      }
+
+      this.priceFetcher.invalidatePair(pool.dexName, pool.token0, pool.token1);
+      this.queueUpdate(address, log.blockNumber);
+
+    } catch (error) {
+      console.error(`Error applying log from pool ${address}:`, error.message);
+    }
+  }
+
+  /**
+   * Read a V3 pool again after a Mint or Burn and mark it live once its state is current
+   * Swaps logged while the read is under way move the block forward and the pool is read again.
+   * The update for the pool is emitted once the state is loaded; if the read fails the pool
+   * stays uncached and quotes read it from the chain
+   */
+  async reloadPool(pool, blockNumber) {
+    const pending = this.reloads.get(pool.address);
+    this.reloads.set(pool.address, Math.max(pending ?? 0, blockNumber));
+    if (pending !== undefined) return;
+
+    let loadedBlock = null;
+    try {
+      while (this.reloads.get(pool.address) !== loadedBlock) {
+        loadedBlock = this.reloads.get(pool.address);
+        const state = await this.priceFetcher.v3Simulator.loadPool(pool.address, this.priceFetcher.v3Simulator.wordRadius, loadedBlock);
+        if (!state) {
+          throw new Error(`state could not be read at block ${loadedBlock}`);
+        }
+      }
+    } catch (error) {
+      console.error(`Error reloading pool ${pool.address} after a liquidity change:`, error.message);
+      return;
+    } finally {
+      this.reloads.delete(pool.address);
+    }
+
+    // Events missed while disconnected are caught up by the resync on reconnect
+    if (!this.isRunning || this.isReconnecting) return;
+    this.setLive(pool, true);
+    this.priceFetcher.invalidatePair(pool.dexName, pool.token0, pool.token1);
+    this.queueUpdate(pool.address, loadedBlock);
+  }
+
+  /**
+   * Collect changed pools and emit one update per block
+   */
+  queueUpdate(address, blockNumber) {
+    if (this.pendingPools.size > 0 && blockNumber > this.pendingBlock) {
+      this.flush();
+    }
+
+    this.pendingPools.add(address);
+    this.pendingBlock = Math.max(this.pendingBlock, blockNumber);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.pendingPools.size === 0) return;
+
+    const pools = [...this.pendingPools];
+    const pathIds = new Set();
+    for (const address of pools) {
+      for (const pathId of this.poolPaths.get(address) || []) {
+        pathIds.add(pathId);
+      }
+    }
+
+    const update = { blockNumber: this.pendingBlock, pools, pathIds };
+    this.pendingPools = new Set();
+    this.stats.updates++;
+    this.emit('update', update);
+  }
+
+  /**
+   * While a pool is live its cached state never expires; events keep it current
+   */
+  setLive(pool, isLive) {
+    if (pool.type === 'v2') {
+      this.priceFetcher.v2Engine.setLive(pool.address, isLive);
+    } else {
+      this.priceFetcher.v3Simulator.setLive(pool.address, isLive);
+    }
+  }
+
+  /**
+   * Events may have been missed while disconnected: drop live state and reconnect with backoff
+   */
+  async handleDisconnect() {
+    if (!this.isRunning || this.isReconnecting) return;
+    this.isReconnecting = true;
+
+    for (const pool of this.pools.values()) {
+      this.setLive(pool, false);
+    }
+
+    while (this.isRunning) {
+      this.reconnectAttempts++;
+      this.stats.reconnects++;
+      const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), this.maxReconnectDelay);
+      console.warn(`⚠️ Pool event stream disconnected, reconnecting in ${delay}ms...`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (!this.isRunning) break;
+
+      try {
+        await this.destroyProvider();
+        await this.connect();
+        break;
+      } catch (error) {
+        console.error('❌ Pool event stream reconnect failed:', error.message);
+      }
+    }
+
+    this.isReconnecting = false;
+  }
+
+  async destroyProvider() {
+    if (this.provider) {
+      const provider = this.provider;
+      this.provider = null;
+      try {
+        provider.websocket.onclose = null;
+        provider.websocket.onerror = null;
+        await provider.destroy();
+      } catch (error) {
+        // Socket already gone
+      }
+    }
+  }
+
+  /**
+   * Unsubscribe and close the socket
+   */
+  async stop() {
+    this.isRunning = false;
+    this.flush();
+
+    for (const pool of this.pools.values()) {
+      this.setLive(pool, false);
+    }
+
+    await this.destroyProvider();
+  }
+
+  getTokenAddress(symbol) {
+    const token = TOKEN_ADDRESSES[symbol];
+    return token ? token.address : symbol;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      watchedPools: this.pools.size,
+      connected: this.provider !== null
+    };
+  }
+}
@@ -1,6 +1,16 @@
 import { ethers } from 'ethers';
 import BigNumber from 'bignumber.js';
-import { ROUTER_ABI, QUOTER_V3_ABI } from '../config/dexConfig.js';
+import {
+  ROUTER_ABI,
+  QUOTER_V3_ABI,
+  FACTORY_ABI,
+  FACTORY_V3_ABI,
+  PAIR_ABI
+} from '../config/dexConfig.js';
+import { V2PoolEngine } from './v2PoolEngine.js';
+import { Multicall } from './multicall.js';
+import { V3PoolSimulator } from './v3PoolSimulator.js';
+import { TokenAmount, toHumanPrice, getToken } from './tokenAmount.js';
 
 /**
  * Price Fetcher - Retrieves real-time prices from multiple DEXes
@@ -13,6 +23,16 @@ export class PriceFetcher {
     this.contracts = {};
     this.priceCache = new Map();
     this.cacheTimeout = 5000; // 5 seconds cache
+    this.latestSnapshotBlock = null; // Quotes pinned to older blocks are pruned from the cache
+    this.v2Engine = new V2PoolEngine(provider, dexConfigs);
+    this.multicall = new Multicall(provider);
+    this.v3Pools = new Map(); // Pool addresses per DEX, pair and fee tier
+    this.v3Simulator = new V3PoolSimulator(provider);
+    this.interfaces = {
+      factory: new ethers.Interface(FACTORY_ABI),
+      factoryV3: new ethers.Interface(FACTORY_V3_ABI),
+      pair: new ethers.Interface(PAIR_ABI)
+    };
     
     this.initializeContracts();
   }
@@ -29,6 +49,7 @@ export class PriceFetcher {
           this.contracts[dexName] = {
             router: new ethers.Contract(config.router, ROUTER_ABI, this.provider),
             quoter: new ethers.Contract(config.quoter, QUOTER_V3_ABI, this.provider),
+            factory: new ethers.Contract(config.factory, FACTORY_V3_ABI, this.provider),
             type: 'v3'
           };
         }
@@ -40,14 +61,15 @@ export class PriceFetcher {
 
   /**
    * Get price for a specific token pair on a specific DEX
+   * With a blockTag every read behind the quote is made at that block
    */
-  async getPrice(dexName, tokenIn, tokenOut, amountIn) {
-    const cacheKey = `${dexName}-${tokenIn}-${tokenOut}-${amountIn}`;
+  async getPrice(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
+    const cacheKey = this.getCacheKey(dexName, tokenIn, tokenOut, amountIn, blockTag);
     
-    // Check cache first
+    // Check cache first; a quote pinned to a block never changes
     if (this.priceCache.has(cacheKey)) {
       const cached = this.priceCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
+      if (blockTag !== null || Date.now() - cached.timestamp < this.cacheTimeout) {
         return cached.data;
       }
     }
@@ -59,28 +81,16 @@ export class PriceFetcher {
       }
 
       let amountOut;
+      let fee;
       
       if (contract.type === 'v2') {
-        amountOut = await this.getPriceV2(contract.router, tokenIn, tokenOut, amountIn);
+        amountOut = await this.getPriceV2(dexName, tokenIn, tokenOut, amountIn, blockTag);
       } else if (contract.type === 'v3') {
-        amountOut = await this.getPriceV3(dexName, contract.quoter, tokenIn, tokenOut, amountIn);
+        ({ amountOut, fee } = await this.getPriceV3(dexName, tokenIn, tokenOut, amountIn, blockTag));
       }
 
-      const result = {
-        dex: dexName,
-        tokenIn,
-        tokenOut,
-        amountIn: new BigNumber(amountIn),
-        amountOut: new BigNumber(amountOut),
-        price: new BigNumber(amountOut).div(amountIn),
-        timestamp: Date.now()
-      };
-
-      // Cache the result
-      this.priceCache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      const result = this.buildPriceResult(dexName, tokenIn, tokenOut, amountIn, amountOut, fee, blockTag);
+      this.cachePrice(cacheKey, result);
 
       return result;
 
@@ -91,28 +101,67 @@ export class PriceFetcher {
   }
 
   /**
-   * Get price from Uniswap V2 style DEX
+   * Build the price result shape shared by single and batched quotes
+   * fee is the winning V3 fee tier and is left undefined for V2 quotes;
+   * blockNumber is the snapshot block the quote is pinned to (null for latest)
    */
-  async getPriceV2(routerContract, tokenIn, tokenOut, amountIn) {
+  buildPriceResult(dexName, tokenIn, tokenOut, amountIn, amountOut, fee, blockNumber = null) {
+    return {
+      dex: dexName,
+      tokenIn,
+      tokenOut,
+      amountIn: TokenAmount.from(tokenIn, amountIn),
+      amountOut: TokenAmount.from(tokenOut, amountOut),
+      price: new BigNumber(amountOut).div(amountIn),
+      fee,
+      blockNumber,
+      timestamp: Date.now()
+    };
+  }
+
+  getCacheKey(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
+    return `${dexName}-${tokenIn}-${tokenOut}-${amountIn}-${blockTag ?? 'latest'}`;
+  }
+
+  cachePrice(cacheKey, result) {
+    if (result.blockNumber !== null && result.blockNumber > (this.latestSnapshotBlock ?? -1)) {
+      this.latestSnapshotBlock = result.blockNumber;
+      this.pruneCache(result.blockNumber);
+    }
+
+    this.priceCache.set(cacheKey, {
+      data: result,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Drop quotes pinned to blocks before the given one
+   */
+  pruneCache(blockNumber) {
+    for (const [cacheKey, cached] of this.priceCache) {
+      if (cached.data.blockNumber !== null && cached.data.blockNumber < blockNumber) {
+        this.priceCache.delete(cacheKey);
+      }
+    }
+  }
+
+  /**
+   * Get price from Uniswap V2 style DEX, computed locally from pair reserves
+   */
+  async getPriceV2(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
+    const amountInWei = TokenAmount.from(tokenIn, amountIn).toRaw();
+    
     try {
-      const path = [tokenIn, tokenOut];
-      const amounts = await routerContract.getAmountsOut(
-        ethers.parseUnits(amountIn.toString(), 18),
-        path
-      );
-      
-      return ethers.formatUnits(amounts[1], 18);
+      const quote = await this.v2Engine.quote(dexName, tokenIn, tokenOut, amountInWei, blockTag);
+      return TokenAmount.fromRaw(tokenOut, quote.amountOut);
     } catch (error) {
       // Try with WBNB as intermediate token if direct pair doesn't exist
       const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
       if (tokenIn !== WBNB && tokenOut !== WBNB) {
         try {
-          const path = [tokenIn, WBNB, tokenOut];
-          const amounts = await routerContract.getAmountsOut(
-            ethers.parseUnits(amountIn.toString(), 18),
-            path
-          );
-          return ethers.formatUnits(amounts[2], 18);
+          const amountOut = await this.v2Engine.quoteRoute(dexName, [tokenIn, WBNB, tokenOut], amountInWei, blockTag);
+          return TokenAmount.fromRaw(tokenOut, amountOut);
         } catch (innerError) {
           throw error; // Throw original error if intermediate routing also fails
         }
@@ -122,85 +171,379 @@ export class PriceFetcher {
   }
 
   /**
-   * Get price from Uniswap V3 style DEX
+   * Get price from Uniswap V3 style DEX, simulated locally from the pool's tick state
+   * Every fee tier is quoted and the one with the best output wins
    */
-  async getPriceV3(dexName, quoterContract, tokenIn, tokenOut, amountIn) {
+  async getPriceV3(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
     const config = this.dexConfigs[dexName];
+    const amountInWei = TokenAmount.from(tokenIn, amountIn).toRaw();
     
-    // Try different fee tiers
-    for (const fee of config.fees) {
+    const quotes = await Promise.all(config.fees.map(async fee => {
       try {
-        const amountOut = await quoterContract.quoteExactInputSingle.staticCall(
-          tokenIn,
-          tokenOut,
-          fee,
-          ethers.parseUnits(amountIn.toString(), 18),
-          0 // sqrtPriceLimitX96 = 0 (no limit)
-        );
+        const poolAddress = await this.getV3PoolAddress(dexName, tokenIn, tokenOut, fee);
+        if (poolAddress === ethers.ZeroAddress) return null;
         
-        return ethers.formatUnits(amountOut, 18);
+        const result = await this.v3Simulator.quote(poolAddress, tokenIn, amountInWei, blockTag);
+        return { fee, amountOut: result.amountOut };
       } catch (error) {
-        // Try next fee tier if this one fails
-        continue;
+        return null; // This tier has no usable pool
       }
+    }));
+    
+    const best = this.selectBestFeeTier(quotes);
+    if (!best) {
+      throw new Error(`No valid pool found for ${tokenIn}/${tokenOut} on ${dexName}`);
     }
     
-    throw new Error(`No valid pool found for ${tokenIn}/${tokenOut} on ${dexName}`);
+    return {
+      amountOut: TokenAmount.fromRaw(tokenOut, best.amountOut),
+      fee: best.fee
+    };
   }
 
   /**
-   * Get prices from all DEXes for a specific pair
+   * Quote one executed leg on exactly its venue: the given V3 fee tier's pool, or the V2 pair
+   * Returns the output as a TokenAmount, or null when the pool cannot be quoted
    */
-  async getAllPricesForPair(tokenIn, tokenOut, amountIn = '1') {
-    const promises = Object.keys(this.contracts).map(async dexName => {
-      try {
-        const result = await this.getPrice(dexName, tokenIn, tokenOut, amountIn);
-        return { dexName, result };
-      } catch (error) {
-        return { dexName, result: null };
+  async quoteLeg(dexName, tokenIn, tokenOut, amountIn, fee = undefined, blockTag = null) {
+    const amountInWei = TokenAmount.from(tokenIn, amountIn).toRaw();
+
+    try {
+      if (fee === undefined) {
+        // The direct pair only: the executor swaps through it, never through a WBNB route
+        const quote = await this.v2Engine.quote(dexName, tokenIn, tokenOut, amountInWei, blockTag);
+        return TokenAmount.fromRaw(tokenOut, quote.amountOut);
       }
-    });
 
-    const results = await Promise.allSettled(promises);
-    const prices = {};
+      const poolAddress = await this.getV3PoolAddress(dexName, tokenIn, tokenOut, fee);
+      if (poolAddress === ethers.ZeroAddress) return null;
+
+      const result = await this.v3Simulator.quote(poolAddress, tokenIn, amountInWei, blockTag);
+      return TokenAmount.fromRaw(tokenOut, result.amountOut);
+    } catch (error) {
+      console.error(`Error quoting ${dexName} ${fee === undefined ? 'pair' : `${fee} pool`}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the fee tier quote with the highest output (null entries are tiers without a pool)
+   */
+  selectBestFeeTier(quotes) {
+    return quotes.reduce((best, quote) => {
+      if (!quote || quote.amountOut === 0n) return best;
+      return !best || quote.amountOut > best.amountOut ? quote : best;
+    }, null);
+  }
 
-    results.forEach((promiseResult) => {
-      if (promiseResult.status === 'fulfilled' && promiseResult.value.result) {
-        prices[promiseResult.value.dexName] = promiseResult.value.result;
+  /**
+   * Resolve a V3 pool address for a fee tier (ZeroAddress if the pool does not exist)
+   */
+  async getV3PoolAddress(dexName, tokenIn, tokenOut, fee) {
+    const key = this.getV3PoolKey(dexName, tokenIn, tokenOut, fee);
+    if (!this.v3Pools.has(key)) {
+      this.v3Pools.set(key, await this.contracts[dexName].factory.getPool(tokenIn, tokenOut, fee));
+    }
+    return this.v3Pools.get(key);
+  }
+
+  /**
+   * Compare the local V3 simulation with the on-chain quoter for one swap
+   * Both read the pool at blockTag (the latest block if null), so a swap landing in between cannot cause a mismatch
+   */
+  async crossCheckV3Quote(dexName, tokenIn, tokenOut, fee, amountIn, blockTag = null) {
+    const amountInWei = TokenAmount.from(tokenIn, amountIn).toRaw();
+    const poolAddress = await this.getV3PoolAddress(dexName, tokenIn, tokenOut, fee);
+    if (poolAddress === ethers.ZeroAddress) {
+      return null;
+    }
+
+    const pinnedBlock = blockTag ?? await this.provider.getBlockNumber();
+    await this.v3Simulator.loadPool(poolAddress, this.v3Simulator.wordRadius, pinnedBlock);
+    const [simulated, quoted] = await Promise.all([
+      this.v3Simulator.quote(poolAddress, tokenIn, amountInWei, pinnedBlock),
+      this.contracts[dexName].quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn: amountInWei,
+        fee,
+        sqrtPriceLimitX96: 0
+      }, { blockTag: pinnedBlock })
+    ]);
+
+    return {
+      poolAddress,
+      simulated: simulated.amountOut,
+      quoted: quoted.amountOut,
+      matches: simulated.amountOut === quoted.amountOut
+    };
+  }
+
+  /**
+   * Check the V3 simulator against each V3 DEX's quoter on the first fee tier with a pool for the pair
+   * Returns the DEXes checked; throws when a simulation differs from its quoter by even one wei
+   */
+  async verifyV3Simulator(tokenIn, tokenOut, amountIn) {
+    const blockNumber = await this.provider.getBlockNumber();
+    const verified = [];
+    const mismatches = [];
+
+    for (const [dexName, config] of Object.entries(this.dexConfigs)) {
+      if (config.type !== 'UniswapV3') continue;
+
+      for (const fee of config.fees) {
+        const check = await this.crossCheckV3Quote(dexName, tokenIn, tokenOut, fee, amountIn, blockNumber);
+        if (!check) continue;
+
+        if (check.matches) {
+          verified.push(dexName);
+        } else {
+          mismatches.push(`${dexName} pool ${check.poolAddress} simulated ${check.simulated} but its quoter returned ${check.quoted}`);
+        }
+        break;
       }
-    });
+    }
 
-    return prices;
+    if (mismatches.length > 0) {
+      throw new Error(`V3 simulation differs from QuoterV2 at block ${blockNumber}: ${mismatches.join('; ')}`);
+    }
+    return verified;
+  }
+
+  /**
+   * Get prices from all DEXes for a specific pair
+   */
+  async getAllPricesForPair(tokenIn, tokenOut, amountIn = '1') {
+    const prices = await this.getAllPrices([[tokenIn, tokenOut]], amountIn);
+    return prices[`${tokenIn}/${tokenOut}`] || {};
   }
 
   /**
    * Get all prices for multiple pairs across all DEXes
+   * Reserve and V3 pool state reads for the whole snapshot go out as a few Multicall3 batches
+   * amountIn is one amount for every pair, or an object of amounts keyed by input token address
    */
-  async getAllPrices(tokenPairs = [], amountIn = '1') {
+  async getAllPrices(tokenPairs = [], amountIn = '1', blockTag = null) {
     const allPrices = {};
+    const amountFor = tokenIn => typeof amountIn === 'object' ? amountIn[tokenIn] : amountIn;
 
+    // First round trip only resolves pairs and pools we have not seen before
+    await this.resolvePoolAddresses(tokenPairs);
+
+    const reads = [];
+    const v3Reads = [];
     for (const [tokenIn, tokenOut] of tokenPairs) {
-      const pairKey = `${tokenIn}/${tokenOut}`;
-      allPrices[pairKey] = await this.getAllPricesForPair(tokenIn, tokenOut, amountIn);
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
+      allPrices[`${tokenIn}/${tokenOut}`] = {};
+
+      for (const [dexName, contract] of Object.entries(this.contracts)) {
+        if (contract.type === 'v2') {
+          const pairAddress = this.v2Engine.getCachedPairAddress(dexName, tokenIn, tokenOut);
+          if (!pairAddress || pairAddress === ethers.ZeroAddress) continue;
+
+          // Reserves kept current by the event feed need no read
+          reads.push({
+            dexName, tokenIn, tokenOut, pairAddress,
+            index: this.v2Engine.isFresh(pairAddress, blockTag)
+              ? null
+              : this.multicall.add(pairAddress, this.interfaces.pair, 'getReserves')
+          });
+        } else if (contract.type === 'v3') {
+          const config = this.dexConfigs[dexName];
+
+          for (const fee of config.fees) {
+            const poolAddress = this.v3Pools.get(this.getV3PoolKey(dexName, tokenIn, tokenOut, fee));
+            if (!poolAddress || poolAddress === ethers.ZeroAddress) continue;
+
+            v3Reads.push({ dexName, tokenIn, tokenOut, fee, poolAddress });
+          }
+        }
+      }
+    }
+
+    // V2 reserves and V3 pool states load side by side
+    const overrides = blockTag !== null ? { blockTag } : {};
+    const [results, loadedPools] = await Promise.all([
+      this.multicall.execute(overrides),
+      this.v3Simulator.loadPools(
+        v3Reads.map(read => read.poolAddress).filter(address => !this.v3Simulator.isFresh(address, blockTag)),
+        undefined,
+        blockTag
+      )
+    ]);
+
+    for (const read of reads) {
+      if (read.index !== null) {
+        const result = results[read.index];
+        if (!result.success) continue;
+
+        const [token0] = this.v2Engine.sortTokens(read.tokenIn, read.tokenOut);
+        this.v2Engine.setReserves(read.pairAddress, token0, result.value[0], result.value[1], blockTag);
+      }
+
+      const amountInWei = TokenAmount.from(read.tokenIn, amountFor(read.tokenIn)).toRaw();
+      const quote = await this.v2Engine.quote(read.dexName, read.tokenIn, read.tokenOut, amountInWei, blockTag);
+      this.storeBatchPrice(allPrices, read, amountFor(read.tokenIn), quote.amountOut, undefined, blockTag);
+    }
+
+    // Quote every fee tier, then keep the best one per DEX and pair
+    const v3Best = new Map();
+    for (const read of v3Reads) {
+      // Prefer what was just loaded: the shared cache may already hold a newer live state
+      const state = loadedPools.get(read.poolAddress.toLowerCase()) ||
+        (this.v3Simulator.isFresh(read.poolAddress, blockTag) ? this.v3Simulator.getPoolState(read.poolAddress) : null);
+      if (!state) continue;
+
+      const zeroForOne = read.tokenIn.toLowerCase() === state.token0.toLowerCase();
+      const amountInWei = TokenAmount.from(read.tokenIn, amountFor(read.tokenIn)).toRaw();
+      const simulation = V3PoolSimulator.simulateExactInput(state, zeroForOne, amountInWei);
+      if (!simulation.complete) continue;
+
+      const key = `${read.dexName}-${read.tokenIn}-${read.tokenOut}`;
+      const best = this.selectBestFeeTier([v3Best.get(key), { read, fee: read.fee, amountOut: simulation.amountOut }]);
+      if (best) v3Best.set(key, best);
+    }
+
+    for (const { read, fee, amountOut } of v3Best.values()) {
+      this.storeBatchPrice(allPrices, read, amountFor(read.tokenIn), amountOut, fee, blockTag);
     }
 
     return allPrices;
   }
 
+  /**
+   * Record a batched quote in the snapshot and the price cache
+   */
+  storeBatchPrice(allPrices, read, amountIn, amountOutWei, fee, blockTag = null) {
+    const price = this.buildPriceResult(
+      read.dexName, read.tokenIn, read.tokenOut, amountIn, TokenAmount.fromRaw(read.tokenOut, amountOutWei), fee, blockTag
+    );
+    allPrices[`${read.tokenIn}/${read.tokenOut}`][read.dexName] = price;
+    this.cachePrice(this.getCacheKey(read.dexName, read.tokenIn, read.tokenOut, amountIn, blockTag), price);
+  }
+
+  /**
+   * Resolve V2 pair and V3 pool addresses in one batch, skipping those already known
+   */
+  async resolvePoolAddresses(tokenPairs) {
+    const lookups = [];
+
+    for (const [tokenIn, tokenOut] of tokenPairs) {
+      for (const [dexName, config] of Object.entries(this.dexConfigs)) {
+        if (!this.contracts[dexName]) continue;
+
+        if (config.type === 'UniswapV2') {
+          if (this.v2Engine.getCachedPairAddress(dexName, tokenIn, tokenOut) !== undefined) continue;
+
+          lookups.push({
+            dexName, tokenIn, tokenOut,
+            index: this.multicall.add(config.factory, this.interfaces.factory, 'getPair', [tokenIn, tokenOut])
+          });
+        } else if (config.type === 'UniswapV3') {
+          for (const fee of config.fees) {
+            if (this.v3Pools.has(this.getV3PoolKey(dexName, tokenIn, tokenOut, fee))) continue;
+
+            lookups.push({
+              dexName, tokenIn, tokenOut, fee,
+              index: this.multicall.add(config.factory, this.interfaces.factoryV3, 'getPool', [tokenIn, tokenOut, fee])
+            });
+          }
+        }
+      }
+    }
+
+    if (lookups.length === 0) return;
+
+    const results = await this.multicall.execute();
+
+    for (const lookup of lookups) {
+      const result = results[lookup.index];
+      if (!result.success) continue; // Leave unresolved so the next cycle retries it
+
+      if (lookup.fee === undefined) {
+        this.v2Engine.cachePairAddress(lookup.dexName, lookup.tokenIn, lookup.tokenOut, result.value);
+      } else {
+        this.v3Pools.set(this.getV3PoolKey(lookup.dexName, lookup.tokenIn, lookup.tokenOut, lookup.fee), result.value);
+      }
+    }
+  }
+
+  /**
+   * Check CREATE2-derived V2 pair addresses against factory.getPair for a few known pairs
+   * Throws when a DEX's initCodeHash derives a different address than its factory returns
+   */
+  async verifyPairAddresses(tokenPairs) {
+    const checks = [];
+    for (const [dexName, config] of Object.entries(this.dexConfigs)) {
+      if (config.type !== 'UniswapV2' || !config.initCodeHash) continue;
+
+      for (const [tokenA, tokenB] of tokenPairs) {
+        checks.push({
+          dexName,
+          derived: this.v2Engine.derivePairAddress(dexName, tokenA, tokenB),
+          index: this.multicall.add(config.factory, this.interfaces.factory, 'getPair', [tokenA, tokenB])
+        });
+      }
+    }
+
+    const results = await this.multicall.execute();
+    const verified = new Set();
+    const mismatches = [];
+
+    for (const check of checks) {
+      const result = results[check.index];
+      if (!result.success || result.value === ethers.ZeroAddress) continue;
+
+      if (result.value.toLowerCase() === check.derived.toLowerCase()) {
+        verified.add(check.dexName);
+      } else {
+        mismatches.push(`${check.dexName} derived ${check.derived} but its factory returned ${result.value}`);
+      }
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(`Wrong initCodeHash in DEX_CONFIGS: ${mismatches.join('; ')}`);
+    }
+
+    const unverified = [...new Set(checks.map(check => check.dexName))].filter(dexName => !verified.has(dexName));
+    if (unverified.length > 0) {
+      console.warn(`⚠️ Could not verify pair address derivation for ${unverified.join(', ')}: no sample pair found`);
+    }
+
+    return [...verified];
+  }
+
+  /**
+   * DEXes with a known pool for a pair, from the resolved address caches
+   */
+  getDexesWithPool(tokenA, tokenB) {
+    const hasPool = address => Boolean(address) && address !== ethers.ZeroAddress;
+    return Object.entries(this.contracts)
+      .filter(([dexName, contract]) => contract.type === 'v2'
+        ? hasPool(this.v2Engine.getCachedPairAddress(dexName, tokenA, tokenB))
+        : this.dexConfigs[dexName].fees.some(fee => hasPool(this.v3Pools.get(this.getV3PoolKey(dexName, tokenA, tokenB, fee)))))
+      .map(([dexName]) => dexName);
+  }
+
+  getV3PoolKey(dexName, tokenA, tokenB, fee) {
+    const [token0, token1] = this.v2Engine.sortTokens(tokenA, tokenB);
+    return `${dexName}-${token0.toLowerCase()}-${token1.toLowerCase()}-${fee}`;
+  }
+
   /**
    * Calculate price impact for a trade
    */
-  async calculatePriceImpact(dexName, tokenIn, tokenOut, amountIn) {
+  async calculatePriceImpact(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
     try {
+      if (this.contracts[dexName]?.type === 'v2') {
+        return await this.calculatePriceImpactV2(dexName, tokenIn, tokenOut, amountIn, blockTag);
+      }
+
       // Get price for small amount (0.1 unit)
       const smallAmount = '0.1';
-      const smallPrice = await this.getPrice(dexName, tokenIn, tokenOut, smallAmount);
+      const smallPrice = await this.getPrice(dexName, tokenIn, tokenOut, smallAmount, blockTag);
       
       // Get price for actual amount
-      const actualPrice = await this.getPrice(dexName, tokenIn, tokenOut, amountIn);
+      const actualPrice = await this.getPrice(dexName, tokenIn, tokenOut, amountIn, blockTag);
       
       if (!smallPrice || !actualPrice) {
         return null;
@@ -224,6 +567,27 @@ export class PriceFetcher {
     }
   }
 
+  /**
+   * Calculate price impact for a V2 trade from the pair reserves (no extra quotes)
+   */
+  async calculatePriceImpactV2(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
+    const quote = await this.v2Engine.quote(
+      dexName,
+      tokenIn,
+      tokenOut,
+      TokenAmount.from(tokenIn, amountIn).toRaw(),
+      blockTag
+    );
+
+    // Engine prices are in raw units; report them per whole token like the other price paths
+    return {
+      priceImpact: quote.priceImpact,
+      smallPrice: toHumanPrice(quote.spotPrice, tokenIn, tokenOut).toNumber(),
+      actualPrice: toHumanPrice(quote.executionPrice, tokenIn, tokenOut).toNumber(),
+      marginalPrice: toHumanPrice(quote.marginalPrice, tokenIn, tokenOut).toNumber()
+    };
+  }
+
   /**
    * Find best price across all DEXes
    */
@@ -275,22 +639,18 @@ export class PriceFetcher {
       const config = this.dexConfigs[dexName];
       if (config.type === 'UniswapV2') {
         // For V2, we can check pair reserves
-        const factoryABI = ['function getPair(address tokenA, address tokenB) external view returns (address pair)'];
-        const pairABI = ['function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'];
-        
-        const factory = new ethers.Contract(config.factory, factoryABI, this.provider);
-        const pairAddress = await factory.getPair(tokenIn, tokenOut);
+        const pairAddress = await this.v2Engine.getPairAddress(dexName, tokenIn, tokenOut);
         
         if (pairAddress === ethers.ZeroAddress) {
           return null;
         }
         
-        const pair = new ethers.Contract(pairAddress, pairABI, this.provider);
-        const reserves = await pair.getReserves();
+        const [token0, token1] = this.v2Engine.sortTokens(tokenIn, tokenOut);
+        const { reserveIn, reserveOut } = await this.v2Engine.loadReserves(dexName, token0, token1);
         
         return {
-          reserve0: ethers.formatUnits(reserves[0], 18),
-          reserve1: ethers.formatUnits(reserves[1], 18),
+          reserve0: TokenAmount.fromRaw(token0, reserveIn).toString(),
+          reserve1: TokenAmount.fromRaw(token1, reserveOut).toString(),
           pairAddress
         };
       }
@@ -302,11 +662,72 @@ export class PriceFetcher {
     }
   }
 
+  /**
+   * Read the pools behind a set of swaps from several RPC nodes at one block and
+   * require identical answers (V2 reserves, V3 slot0 and liquidity)
+   * Needs a provider with crossCheck(), such as ProviderPool; throws when nodes disagree
+   */
+  async crossCheckPools(swaps, blockTag) {
+    const calls = [];
+    // Every leg of a split hop trades through its own pool
+    for (const swap of swaps) {
+      const tokenIn = getToken(swap.from).address;
+      const tokenOut = getToken(swap.to).address;
+
+      for (const leg of swap.legs) {
+        if (this.contracts[leg.dex]?.type === 'v2') {
+          const address = this.v2Engine.getCachedPairAddress(leg.dex, tokenIn, tokenOut);
+          calls.push({ address, contractInterface: this.interfaces.pair, method: 'getReserves' });
+        } else {
+          const address = this.v3Pools.get(this.getV3PoolKey(leg.dex, tokenIn, tokenOut, leg.fee));
+          calls.push({ address, contractInterface: this.v3Simulator.poolInterface, method: 'slot0' });
+          calls.push({ address, contractInterface: this.v3Simulator.poolInterface, method: 'liquidity' });
+        }
+      }
+    }
+
+    const missing = calls.find(call => !call.address);
+    if (missing) {
+      throw new Error(`Unknown pool address for a ${missing.method} cross-check`);
+    }
+
+    return this.provider.crossCheck(async provider => {
+      const multicall = new Multicall(provider);
+      for (const { address, contractInterface, method } of calls) {
+        multicall.add(address, contractInterface, method);
+      }
+
+      const results = await multicall.execute({ blockTag });
+      if (results.every(result => !result.success)) {
+        throw new Error('Pool reads failed');
+      }
+      return results.map(result => result.success ? result.value : null);
+    }, { blockTag });
+  }
+
+  /**
+   * Drop cached quotes for a pair on one DEX after its pool state changed
+   */
+  invalidatePair(dexName, tokenA, tokenB) {
+    const tokens = [tokenA.toLowerCase(), tokenB.toLowerCase()];
+
+    for (const [cacheKey, cached] of this.priceCache) {
+      const { dex, tokenIn, tokenOut } = cached.data;
+      if (dex === dexName &&
+          tokens.includes(tokenIn.toLowerCase()) &&
+          tokens.includes(tokenOut.toLowerCase())) {
+        this.priceCache.delete(cacheKey);
+      }
+    }
+  }
+
   /**
    * Clear price cache
    */
   clearCache() {
     this.priceCache.clear();
+    this.v2Engine.clearCache();
+    this.v3Simulator.clearCache();
   }
 
   /**
@@ -315,7 +736,8 @@ export class PriceFetcher {
   getCacheStats() {
     return {
       size: this.priceCache.size,
-      timeout: this.cacheTimeout
+      timeout: this.cacheTimeout,
+      multicall: this.multicall.getStats()
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,317 @@
+import { ethers } from 'ethers';
+
+// Errors about the request itself; every node would give the same answer, so they never fail over
+const DETERMINISTIC_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'ACTION_REJECTED'
+]);
+
+// A node's answer to a transaction it already has in its mempool
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+/**
+ * Provider Pool - An ethers provider backed by several RPC endpoints
+ * Tracks each node's latency, error rate and block height, routes every request to the
+ * healthiest node and fails over to the next one on errors. Nodes that keep failing are
+ * benched for a cooldown. crossCheck() runs a critical read on several nodes and requires
+ * identical answers
+ */
+export class ProviderPool extends ethers.AbstractProvider {
+  constructor(urls, options = {}) {
+    const network = ethers.Network.from(options.chainId || 56); // BSC mainnet
+    super(network);
+
+    if (urls.length === 0) {
+      throw new Error('ProviderPool needs at least one RPC URL');
+    }
+
+    this.staticNetwork = network;
+    this.quorum = Math.min(options.quorum || 1, urls.length); // Nodes that must agree in crossCheck()
+    this.timeout = options.timeout || 5000;
+    this.maxBlockLag = options.maxBlockLag || 3; // Blocks behind the best node before a node is deprioritized
+    this.maxConsecutiveErrors = options.maxConsecutiveErrors || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.healthCheckTimer = null;
+
+    this.nodes = urls.map(url => ({
+      url,
+      provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+      latency: null, // Moving average in ms
+      errorRate: 0, // Moving average of failed requests, 0 to 1
+      consecutiveErrors: 0,
+      blockNumber: null,
+      benchedUntil: 0,
+      requests: 0,
+      errors: 0,
+      lastError: null
+    }));
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Route an ethers request to the healthiest node, failing over on node errors
+   */
+  async _perform(req) {
+    if (req.method === 'broadcastTransaction') {
+      return this.broadcast(req);
+    }
+
+    return this.withFailover(req.method, this.getRequiredBlock(req.blockTag), async (node) => {
+      const result = await node.provider._perform(req);
+      if (req.method === 'getBlockNumber') {
+        node.blockNumber = Math.max(node.blockNumber ?? 0, Number(result));
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Send a signed transaction to the healthiest node only, however long it takes to answer
+   * A broadcast is not a read: a node may accept it and answer late, and resending it elsewhere
+   * would only get "already known" back. That answer means the transaction is in the mempool
+   */
+  async broadcast(req) {
+    const [node] = this.rankNodes();
+    try {
+      return await this.runOn(node, (n) => n.provider._perform(req), null);
+    } catch (error) {
+      if (this.isAlreadyKnown(error)) {
+        return ethers.keccak256(req.signedTransaction);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Raw JSON-RPC request with the same routing and failover
+   */
+  async send(method, params) {
+    if (method === 'eth_sendRawTransaction') {
+      return this.broadcast({ method: 'broadcastTransaction', signedTransaction: params[0] });
+    }
+
+    const blockTag = params[params.length - 1]; // Block-tagged methods take the tag last
+    return this.withFailover(method, this.getRequiredBlock(blockTag), (node) => node.provider.send(method, params));
+  }
+
+  async withFailover(label, minBlock, operation) {
+    let lastError;
+
+    for (const node of this.rankNodes(minBlock)) {
+      try {
+        return await this.runOn(node, operation);
+      } catch (error) {
+        if (this.isDeterministicError(error)) throw error;
+        lastError = error;
+        console.warn(`⚠️ RPC ${node.url} failed ${label}: ${error.message}; trying next node`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Run an operation on one node, recording its latency and outcome
+   * A null timeout waits for the node's answer however long it takes
+   */
+  async runOn(node, operation, timeoutMs = this.timeout) {
+    const startedAt = Date.now();
+    node.requests++;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutMs === null) return;
+      timer = setTimeout(() => reject(new Error(`RPC request timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([operation(node), timeout]);
+      this.recordSuccess(node, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (this.isDeterministicError(error)) {
+        // The node answered; the request was bad
+        this.recordSuccess(node, Date.now() - startedAt);
+      } else {
+        this.recordFailure(node, error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordSuccess(node, latency) {
+    node.latency = node.latency === null ? latency : node.latency * 0.8 + latency * 0.2;
+    node.errorRate *= 0.8;
+    node.consecutiveErrors = 0;
+  }
+
+  recordFailure(node, error) {
+    node.errors++;
+    node.errorRate = node.errorRate * 0.8 + 0.2;
+    node.consecutiveErrors++;
+    node.lastError = error.message;
+
+    if (node.consecutiveErrors >= this.maxConsecutiveErrors && node.benchedUntil <= Date.now()) {
+      node.benchedUntil = Date.now() + this.cooldown;
+      console.warn(`⚠️ RPC ${node.url} benched for ${this.cooldown / 1000}s after ${node.consecutiveErrors} consecutive errors`);
+    }
+  }
+
+  isDeterministicError(error) {
+    return DETERMINISTIC_ERRORS.has(error.code);
+  }
+
+  isAlreadyKnown(error) {
+    // ethers wraps the node's JSON-RPC error as error.error and quotes it in the message
+    return ALREADY_KNOWN.test(error.message) || ALREADY_KNOWN.test(error.error?.message ?? '');
+  }
+
+  /**
+   * Nodes in routing order: available nodes that have the block first, ranked by cost,
+   * then every other node as a last resort
+   */
+  rankNodes(minBlock = null) {
+    const now = Date.now();
+    const bestBlock = this.getBestBlock();
+    const usable = [];
+    const fallback = [];
+
+    for (const node of this.nodes) {
+      const isBenched = node.benchedUntil > now;
+      const isBehind = minBlock !== null && node.blockNumber !== null && node.blockNumber < minBlock;
+      (isBenched || isBehind ? fallback : usable).push(node);
+    }
+
+    const byCost = (a, b) => this.getCost(a, bestBlock) - this.getCost(b, bestBlock);
+    return [...usable.sort(byCost), ...fallback.sort(byCost)];
+  }
+
+  /**
+   * Routing cost in milliseconds: latency plus penalties for errors and lagging blocks
+   */
+  getCost(node, bestBlock) {
+    const latency = node.latency ?? this.timeout / 2; // Unmeasured nodes rank mid-pack
+    const lag = bestBlock !== null && node.blockNumber !== null ? bestBlock - node.blockNumber : 0;
+    const lagPenalty = lag > this.maxBlockLag ? this.timeout : lag * 100;
+    return latency + node.errorRate * this.timeout + lagPenalty;
+  }
+
+  getBestBlock() {
+    const heights = this.nodes.map(node => node.blockNumber).filter(height => height !== null);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+
+  /**
+   * Block a request needs the node to have, when it is pinned to one
+   */
+  getRequiredBlock(blockTag) {
+    if (typeof blockTag === 'number') return blockTag;
+    if (typeof blockTag === 'string' && ethers.isHexString(blockTag) && blockTag.length <= 18) {
+      return Number(blockTag);
+    }
+    return null;
+  }
+
+  /**
+   * Probe every node for its block height and latency
+   */
+  async refreshHealth() {
+    await Promise.allSettled(this.nodes.map(async node => {
+      node.blockNumber = await this.runOn(node, (n) => n.provider.getBlockNumber());
+    }));
+    return this.getHealth();
+  }
+
+  /**
+   * Probe the nodes now and then on an interval
+   */
+  async startHealthChecks(interval = 5000) {
+    await this.refreshHealth();
+
+    this.stopHealthChecks();
+    this.healthCheckTimer = setInterval(() => {
+      this.refreshHealth().catch(error => console.error('❌ RPC health check failed:', error.message));
+    }, interval);
+  }
+
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Run a read on several nodes and return the answer only if they all agree
+   * Failed nodes are replaced by the next healthiest; throws if too few answer or they disagree
+   */
+  async crossCheck(read, options = {}) {
+    const quorum = options.quorum || this.quorum;
+    const nodes = this.rankNodes(this.getRequiredBlock(options.blockTag));
+    const answers = [];
+    let next = 0;
+
+    while (answers.length < quorum && next < nodes.length) {
+      const batch = nodes.slice(next, next + quorum - answers.length);
+      next += batch.length;
+
+      const settled = await Promise.allSettled(batch.map(node => this.runOn(node, (n) => read(n.provider))));
+      settled.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          answers.push({ node: batch[index], value: result.value });
+        }
+      });
+    }
+
+    if (answers.length < quorum) {
+      throw new Error(`Only ${answers.length} of ${quorum} RPC nodes answered the cross-checked read`);
+    }
+
+    const expected = this.serialize(answers[0].value);
+    const mismatch = answers.find(answer => this.serialize(answer.value) !== expected);
+    if (mismatch) {
+      throw new Error(`RPC nodes disagree: ${answers[0].node.url} and ${mismatch.node.url} returned different results`);
+    }
+
+    return answers[0].value;
+  }
+
+  serialize(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+  }
+
+  /**
+   * Per-node health for logs and stats
+   */
+  getHealth() {
+    const now = Date.now();
+    return this.nodes.map(node => ({
+      url: node.url,
+      blockNumber: node.blockNumber,
+      latency: node.latency === null ? null : Math.round(node.latency),
+      errorRate: Number(node.errorRate.toFixed(3)),
+      benched: node.benchedUntil > now,
+      requests: node.requests,
+      errors: node.errors,
+      lastError: node.lastError
+    }));
+  }
+
+  destroy() {
+    this.stopHealthChecks();
+    for (const node of this.nodes) {
+      node.provider.destroy();
+    }
+    super.destroy();
+  }
+}
@@ -0,0 +1,204 @@
+import BigNumber from 'bignumber.js';
+import { ethers } from 'ethers';
+
+/**
+ * Rate Graph - Every pool as an edge weighted by -log(effective rate after fees)
+ * update() quotes every pair with liquidity in both directions at one snapshot block;
+ * findCycles() enumerates every simple cycle through each flash loan asset, up to maxHops, and
+ * returns the negative ones (rate product above 1) in the path shape ArbitrageScanner.scanPath accepts.
+ * A cycle fixes only its tokens; the scanner picks each hop's venue again at the trade size.
+ * Bellman-Ford would only report that some negative cycle exists, one per relaxation, and cannot
+ * bound its hops, keep it simple or require two pools for an out-and-back pair; every negative
+ * cycle through the asset is wanted, so the search enumerates them instead. Enumeration grows
+ * factorially with the token count, so each search expands at most maxExpansionsPerTokenHop x
+ * tokens x maxHops partial paths, lightest edges first; past that budget it stops and warns
+ */
+export class RateGraph {
+  constructor(priceFetcher, poolRegistry, pathGenerator, options = {}) {
+    this.priceFetcher = priceFetcher;
+    this.poolRegistry = poolRegistry;
+    this.pathGenerator = pathGenerator;
+    this.usdOracle = options.usdOracle || null;
+    this.probeUsd = options.probeUsd || 100; // Quote size; small enough to read the marginal rate
+    this.maxCycles = options.maxCycles || 50;
+    this.maxExpansionsPerTokenHop = options.maxExpansionsPerTokenHop || 1000; // Search budget, see above
+    this.truncatedSearches = 0;
+
+    this.edges = new Map(); // symbol -> outgoing edges
+    this.blockNumber = null;
+  }
+
+  /**
+   * Quote every pair with liquidity at the snapshot block and rebuild the edges
+   * A V3 DEX contributes its best fee tier for the pair, the pool scanPath would trade
+   */
+  async update(blockTag = null) {
+    const symbols = Object.keys(this.pathGenerator.tokenAddresses);
+    const addressOf = symbol => this.pathGenerator.tokenAddresses[symbol].address;
+    const symbolOf = new Map(symbols.map(symbol => [addressOf(symbol), symbol]));
+
+    const tokenPairs = [];
+    for (const [symbolA, symbolB] of this.poolRegistry.getTradingPairs()) {
+      tokenPairs.push([addressOf(symbolA), addressOf(symbolB)], [addressOf(symbolB), addressOf(symbolA)]);
+    }
+
+    const probeAmounts = {};
+    for (const symbol of symbols) {
+      probeAmounts[addressOf(symbol)] = this.getProbeAmount(symbol);
+    }
+
+    const prices = await this.priceFetcher.getAllPrices(tokenPairs, probeAmounts, blockTag);
+
+    this.edges.clear();
+    for (const [tokenIn, tokenOut] of tokenPairs) {
+      for (const [dex, quote] of Object.entries(prices[`${tokenIn}/${tokenOut}`] || {})) {
+        if (!quote.price.isFinite() || quote.price.lte(0)) continue;
+
+        const edge = {
+          from: symbolOf.get(tokenIn),
+          to: symbolOf.get(tokenOut),
+          dex,
+          fee: quote.fee,
+          pool: this.getPoolAddress(dex, tokenIn, tokenOut, quote.fee),
+          rate: quote.price,
+          weight: -Math.log(quote.price.toNumber())
+        };
+
+        if (!this.edges.has(edge.from)) {
+          this.edges.set(edge.from, []);
+        }
+        this.edges.get(edge.from).push(edge);
+      }
+    }
+
+    this.blockNumber = blockTag;
+    return prices;
+  }
+
+  /**
+   * Probe size in human units: probeUsd worth of the token, or one unit when it has no USD price
+   */
+  getProbeAmount(symbol) {
+    const price = this.usdOracle ? this.usdOracle.getPrice(symbol) : null;
+    return price ? new BigNumber(this.probeUsd).div(price).toPrecision(6) : '1';
+  }
+
+  getPoolAddress(dex, tokenIn, tokenOut, fee) {
+    const address = fee === undefined
+      ? this.priceFetcher.v2Engine.getCachedPairAddress(dex, tokenIn, tokenOut)
+      : this.priceFetcher.v3Pools.get(this.priceFetcher.getV3PoolKey(dex, tokenIn, tokenOut, fee));
+    return address && address !== ethers.ZeroAddress ? address.toLowerCase() : null;
+  }
+
+  /**
+   * Negative cycles through every flash loan asset, most profitable first
+   */
+  findCycles(flashLoanAssets = this.pathGenerator.flashLoanAssets) {
+    const found = flashLoanAssets
+      .flatMap(asset => this.findCyclesFrom(asset))
+      .sort((a, b) => b.expectedProfitPercent - a.expectedProfitPercent);
+
+    // The same tokens through other venues is the same path; keep its best quote
+    const cycles = new Map();
+    for (const cycle of found) {
+      if (!cycles.has(cycle.id)) {
+        cycles.set(cycle.id, cycle);
+      }
+    }
+
+    return [...cycles.values()].slice(0, this.maxCycles);
+  }
+
+  /**
+   * Every simple cycle through one asset, depth-first over token sequences
+   * A path never revisits a token, so the hops of a cycle of three or more trade different pairs
+   * and each takes its pair's lightest edge. A two-hop cycle trades one pair out and back and
+   * has to use two different pools. Within the budget the search is exhaustive
+   */
+  findCyclesFrom(asset) {
+    const { minHops, maxHops } = this.pathGenerator;
+    const lightest = this.getLightestEdges();
+    const cycles = [];
+    let budget = this.maxExpansionsPerTokenHop * lightest.size * maxHops;
+
+    const extend = (tokens, weight) => {
+      if (budget-- <= 0) return;
+      const hops = tokens.length; // Hops once the next edge is taken
+      for (const [to, edge] of lightest.get(tokens[tokens.length - 1]) || []) {
+        if (to === asset) {
+          const total = hops === 2 ? this.getRoundTripWeight(asset, tokens[1]) : weight + edge.weight;
+          if (hops >= minHops && total < 0) {
+            cycles.push(this.toPath(asset, { weight: total, tokens: [...tokens, asset] }));
+          }
+        } else if (hops < maxHops && !tokens.includes(to)) {
+          extend([...tokens, to], weight + edge.weight);
+        }
+      }
+    };
+
+    extend([asset], 0);
+    if (budget < 0) {
+      this.truncatedSearches++;
+      console.warn(`⚠️ Cycle search from ${asset} stopped after ${this.maxExpansionsPerTokenHop * lightest.size * maxHops} partial paths; some cycles were not checked`);
+    }
+    return cycles;
+  }
+
+  /**
+   * Lightest edge from each token to each other token, as [token, edge] entries lightest first
+   */
+  getLightestEdges() {
+    const lightest = new Map();
+    for (const [token, outgoing] of this.edges) {
+      const byToken = new Map();
+      for (const edge of outgoing) {
+        if (!byToken.has(edge.to) || edge.weight < byToken.get(edge.to).weight) {
+          byToken.set(edge.to, edge);
+        }
+      }
+      lightest.set(token, [...byToken].sort((a, b) => a[1].weight - b[1].weight));
+    }
+    return lightest;
+  }
+
+  /**
+   * Lightest way from one token to another and back through two different pools (Infinity if none)
+   */
+  getRoundTripWeight(tokenA, tokenB) {
+    let lightest = Infinity;
+    for (const out of this.edges.get(tokenA) || []) {
+      if (out.to !== tokenB) continue;
+      for (const back of this.edges.get(tokenB) || []) {
+        if (back.to !== tokenA || (out.pool !== null && back.pool === out.pool)) continue;
+        lightest = Math.min(lightest, out.weight + back.weight);
+      }
+    }
+    return lightest;
+  }
+
+  /**
+   * pools lists every pool the cycle's hops can trade through, for matching pool updates
+   */
+  toPath(asset, { weight, tokens }) {
+    const pools = [];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      for (const pool of this.poolRegistry.getPools(tokens[i], tokens[i + 1])) {
+        pools.push(pool.address.toLowerCase());
+      }
+    }
+
+    return {
+      ...this.pathGenerator.buildPath(tokens, asset),
+      pools,
+      expectedProfitPercent: (Math.exp(-weight) - 1) * 100
+    };
+  }
+
+  getStats() {
+    let edges = 0;
+    for (const outgoing of this.edges.values()) {
+      edges += outgoing.length;
+    }
+    return { tokens: this.edges.size, edges, blockNumber: this.blockNumber, truncatedSearches: this.truncatedSearches };
+  }
+}
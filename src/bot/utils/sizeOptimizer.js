@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import BigNumber from 'bignumber.js';
+import { AAVE_V3_POOL_ADDRESS, AAVE_V3_POOL_ABI } from '../config/dexConfig.js';
+import { TOKEN_ADDRESSES, ERC20_ABI } from '../config/tokenConfig.js';
+import { Multicall } from './multicall.js';
+import { TokenAmount } from './tokenAmount.js';
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Size Optimizer - Finds the flash loan size that maximizes a path's profit net of gas and premium
+ * The search is bounded by what Aave can lend (the underlying held by the reserve's aToken)
+ * and by pool depth: sizes the path cannot fill within its price impact limit are out.
+ * It doubles from a small probe size until profit stops rising, then narrows the bracket
+ * with a golden-section search
+ */
+export class SizeOptimizer {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.multicall = options.multicall || new Multicall(provider);
+    this.usdOracle = options.usdOracle || null;
+    this.minSizeUsd = options.minSizeUsd || 100; // First probe
+    this.maxSizeUsd = options.maxSizeUsd || 100000;
+    this.iterations = options.iterations || 10; // Golden-section steps once bracketed
+    this.interfaces = {
+      pool: new ethers.Interface(AAVE_V3_POOL_ABI),
+      erc20: new ethers.Interface(ERC20_ABI)
+    };
+
+    this.aTokens = new Map(); // asset symbol -> aToken address (ZeroAddress when not listed)
+    this.premiumRate = null; // Aave's flash loan premium as a fraction of the loan, read with the reserves
+    this.liquidity = { blockTag: undefined, promise: null }; // Available liquidity of the latest block read
+  }
+
+  /**
+   * Smallest and largest size worth trying for an asset at a block, in human units
+   */
+  async getBounds(asset, blockTag = null) {
+    const available = (await this.getAvailableLiquidity(blockTag))[asset] || TokenAmount.from(asset, 0);
+    const usdPrice = this.usdOracle ? this.usdOracle.getPrice(asset) : null;
+
+    // Without a USD price, probe from one whole token and leave the cap to Aave
+    const lower = usdPrice ? new BigNumber(this.minSizeUsd).div(usdPrice) : new BigNumber(1);
+    const cap = usdPrice ? new BigNumber(this.maxSizeUsd).div(usdPrice) : available;
+
+    return {
+      lower: TokenAmount.from(asset, BigNumber.min(lower, available)),
+      upper: TokenAmount.from(asset, BigNumber.min(cap, available)),
+      available
+    };
+  }
+
+  /**
+   * Underlying each flash loan asset's Aave reserve holds, in one batch per block
+   * Concurrent scans of the same block share the read
+   */
+  async getAvailableLiquidity(blockTag = null) {
+    if (this.liquidity.promise && this.liquidity.blockTag === blockTag) {
+      return this.liquidity.promise;
+    }
+
+    const promise = this.readAvailableLiquidity(blockTag);
+    this.liquidity = { blockTag, promise };
+    promise.catch(() => {
+      if (this.liquidity.promise === promise) this.liquidity = { blockTag: undefined, promise: null };
+    });
+    return promise;
+  }
+
+  async readAvailableLiquidity(blockTag) {
+    const overrides = blockTag !== null ? { blockTag } : {};
+    const symbols = Object.keys(TOKEN_ADDRESSES);
+
+    // aToken addresses and the premium are looked up once
+    const unknown = symbols.filter(symbol => !this.aTokens.has(symbol));
+    if (unknown.length > 0 || this.premiumRate === null) {
+      const reads = unknown.map(symbol =>
+        this.multicall.add(AAVE_V3_POOL_ADDRESS, this.interfaces.pool, 'getReserveData', [TOKEN_ADDRESSES[symbol].address])
+      );
+      const premiumRead = this.premiumRate === null
+        ? this.multicall.add(AAVE_V3_POOL_ADDRESS, this.interfaces.pool, 'FLASHLOAN_PREMIUM_TOTAL')
+        : null;
+      const results = await this.multicall.execute(overrides);
+      if (results.every(result => !result.success)) {
+        throw new Error(`Aave reserve lookup failed: ${results[0].error}`);
+      }
+
+      unknown.forEach((symbol, i) => {
+        const result = results[reads[i]];
+        this.aTokens.set(symbol, result.success ? result.value.aTokenAddress : ethers.ZeroAddress);
+      });
+
+      if (premiumRead !== null) {
+        if (!results[premiumRead].success) {
+          throw new Error(`Aave flash loan premium lookup failed: ${results[premiumRead].error}`);
+        }
+        // FLASHLOAN_PREMIUM_TOTAL is in basis points
+        this.premiumRate = new BigNumber(results[premiumRead].value.toString()).div(10000);
+      }
+    }
+
+    const listed = symbols.filter(symbol => this.aTokens.get(symbol) !== ethers.ZeroAddress);
+    const reads = listed.map(symbol =>
+      this.multicall.add(TOKEN_ADDRESSES[symbol].address, this.interfaces.erc20, 'balanceOf', [this.aTokens.get(symbol)])
+    );
+    const results = await this.multicall.execute(overrides);
+
+    const available = {};
+    listed.forEach((symbol, i) => {
+      const result = results[reads[i]];
+      if (result.success) {
+        available[symbol] = TokenAmount.fromRaw(symbol, result.value);
+      }
+    });
+    return available;
+  }
+
+  /**
+   * Aave's flash loan premium as a fraction of the loan; the scanner costs every size with it
+   */
+  async getPremiumRate(blockTag = null) {
+    if (this.premiumRate === null) {
+      await this.getAvailableLiquidity(blockTag);
+    }
+    return this.premiumRate;
+  }
+
+  /**
+   * Search [lower, upper] for the size with the highest net profit
+   * evaluate(size) resolves to { net, result } or null when the path cannot take that size;
+   * returns the best evaluated point, or null if no size could be evaluated
+   */
+  async optimize(evaluate, { lower, upper }) {
+    if (lower.lte(0) || upper.lt(lower)) return null;
+
+    const points = new Map();
+    const valueAt = async (size) => {
+      const key = size.toString();
+      if (!points.has(key)) {
+        const point = await evaluate(size);
+        points.set(key, point ? { size, ...point } : null);
+      }
+      const point = points.get(key);
+      return point ? point.net : new BigNumber(-Infinity);
+    };
+
+    // Double until profit falls, the path runs out of depth, or the cap is reached
+    let left = lower;
+    let previous = lower;
+    let right = upper;
+    let best = await valueAt(lower);
+    for (let size = TokenAmount.from(lower.token, lower.multipliedBy(2)); ; size = TokenAmount.from(lower.token, size.multipliedBy(2))) {
+      if (size.gte(upper)) size = upper;
+
+      const value = await valueAt(size);
+      if (value.lte(best)) {
+        right = size;
+        break;
+      }
+
+      left = previous;
+      previous = size;
+      best = value;
+      if (size.eq(upper)) break;
+    }
+
+    // The peak lies between the last two sizes before profit fell; narrow it down
+    let a = left;
+    let b = right;
+    for (let i = 0; i < this.iterations && b.minus(a).gt(0); i++) {
+      const x1 = TokenAmount.from(lower.token, b.minus(b.minus(a).multipliedBy(GOLDEN_RATIO)));
+      const x2 = TokenAmount.from(lower.token, a.plus(b.minus(a).multipliedBy(GOLDEN_RATIO)));
+      if ((await valueAt(x1)).gte(await valueAt(x2))) {
+        b = x2;
+      } else {
+        a = x1;
+      }
+    }
+
+    return [...points.values()]
+      .filter(Boolean)
+      .reduce((top, point) => (!top || point.net.gt(top.net) ? point : top), null);
+  }
+}
@@ -0,0 +1,133 @@
+import BigNumber from 'bignumber.js';
+import { TOKEN_ADDRESSES } from '../config/tokenConfig.js';
+import { TokenAmount } from './tokenAmount.js';
+
+/**
+ * Slippage Policy - Sets each leg's amountOutMin and the block deadline of an execution
+ * A hop tolerates a few standard deviations of its pools' price moves over the blocks until the
+ * deadline. Tolerances add up along the path, since a hop trades whatever the hops before it
+ * returned. Every hop's tolerance is capped by maxSlippagePercent and by the profit buffer
+ * (how far the expected return exceeds what must come back). The final hop's minimums are also
+ * floored so that together they return at least principal + premium + minimum profit.
+ * Volatility is measured from the quotes of every scan, per pool, as the root mean square
+ * of its price change per block
+ */
+export class SlippagePolicy {
+  constructor(options = {}) {
+    this.maxSlippagePercent = options.maxSlippagePercent ?? 0.5; // Cap on any hop's tolerance
+    this.minProfitPercent = options.minProfitPercent ?? 0.5; // Net profit the final hop must still return, % of the loan
+    this.deadlineBlocks = options.deadlineBlocks ?? 5; // Blocks after the current one the swaps may execute in
+    this.minToleranceBps = options.minToleranceBps ?? 5; // Floor for a hop, so rounding never reverts it
+    this.volatilityMultiplier = options.volatilityMultiplier ?? 2; // Standard deviations of price move tolerated
+    this.defaultVolatilityBps = options.defaultVolatilityBps ?? 10; // Per block, for pools without enough history
+    this.historySize = options.historySize || 20; // Prices kept per pool
+
+    this.history = new Map(); // `${dex}:${tokenIn}/${tokenOut}` -> [{ blockNumber, price }]
+  }
+
+  /**
+   * Record the prices of a scan (pair key -> dex -> quote, as getAllPrices returns them)
+   */
+  observe(prices, blockNumber) {
+    for (const [pairKey, quotes] of Object.entries(prices)) {
+      for (const [dex, quote] of Object.entries(quotes)) {
+        if (!quote.price.isFinite() || quote.price.lte(0)) continue;
+
+        const key = `${dex}:${pairKey}`;
+        const history = this.history.get(key) || [];
+        const last = history[history.length - 1];
+        if (last && last.blockNumber >= blockNumber) continue;
+
+        history.push({ blockNumber, price: quote.price.toNumber() });
+        this.history.set(key, history.slice(-this.historySize));
+      }
+    }
+  }
+
+  /**
+   * Per-block volatility of a pool's price in basis points, or the default without two moves on record
+   */
+  getVolatilityBps(dex, tokenIn, tokenOut) {
+    const history = this.history.get(`${dex}:${tokenIn}/${tokenOut}`) || [];
+    if (history.length < 3) {
+      return this.defaultVolatilityBps;
+    }
+
+    // Log returns scaled to one block, so gaps between observations do not inflate them
+    let sumOfSquares = 0;
+    for (let i = 1; i < history.length; i++) {
+      const perBlock = Math.log(history[i].price / history[i - 1].price) /
+        Math.sqrt(history[i].blockNumber - history[i - 1].blockNumber);
+      sumOfSquares += perBlock * perBlock;
+    }
+    return Math.sqrt(sumOfSquares / (history.length - 1)) * 10000;
+  }
+
+  /**
+   * Minimum outputs and deadline for executing an opportunity from the current block
+   * premium is the flash loan premium in the flash loan asset. Returns { deadlineBlock,
+   * required, bufferBps, hops: [{ toleranceBps, minimums }] } with one TokenAmount per leg;
+   * throws when the expected return does not cover principal + premium + minimum profit
+   */
+  getLimits(opportunity, blockNumber, premium) {
+    const swaps = opportunity.swapDetails;
+    const finalSwap = swaps[swaps.length - 1];
+    const expected = TokenAmount.from(finalSwap.to, finalSwap.legs.reduce((total, leg) => total.plus(leg.amountOut), new BigNumber(0)));
+
+    // The minimum profit is net of gas, as the profit threshold is everywhere else
+    const minProfit = opportunity.flashLoanAmount.multipliedBy(this.minProfitPercent).div(100).plus(opportunity.gasCost);
+    const required = TokenAmount.from(
+      finalSwap.to,
+      opportunity.flashLoanAmount.plus(premium).plus(minProfit).decimalPlaces(expected.decimals, BigNumber.ROUND_UP)
+    );
+    if (expected.lt(required)) {
+      throw new Error(`Expected return ${expected.toFixed(6)} ${finalSwap.to} does not cover principal + premium + minimum profit (${required.toFixed(6)})`);
+    }
+
+    const bufferBps = expected.minus(required).div(expected).multipliedBy(10000).toNumber();
+    const maxBps = this.maxSlippagePercent * 100;
+    let cumulativeBps = 0;
+
+    const hops = swaps.map((swap, index) => {
+      const tokenIn = this.getTokenAddress(swap.from);
+      const tokenOut = this.getTokenAddress(swap.to);
+      const volatilityBps = Math.max(...swap.legs.map(leg => this.getVolatilityBps(leg.dex, tokenIn, tokenOut)));
+      cumulativeBps += Math.max(
+        this.minToleranceBps,
+        this.volatilityMultiplier * volatilityBps * Math.sqrt(this.deadlineBlocks)
+      );
+      const toleranceBps = Math.min(cumulativeBps, maxBps, bufferBps);
+
+      let minimums = swap.legs.map(leg => TokenAmount.from(
+        swap.to,
+        leg.amountOut.multipliedBy(10000 - toleranceBps).div(10000)
+      ));
+      if (index === swaps.length - 1) {
+        minimums = this.coverRequired(swap, minimums, required);
+      }
+      return { toleranceBps, minimums };
+    });
+
+    return { deadlineBlock: blockNumber + this.deadlineBlocks, required, bufferBps, hops };
+  }
+
+  /**
+   * Raise the final hop's leg minimums to their shares of the required return, by quoted output,
+   * rounding up so the legs together never return less
+   */
+  coverRequired(swap, minimums, required) {
+    const quoted = swap.legs.map(leg => TokenAmount.from(swap.to, leg.amountOut).toRaw());
+    const totalQuoted = quoted.reduce((total, amount) => total + amount, 0n);
+    const requiredRaw = required.toRaw();
+
+    return minimums.map((minimum, index) => {
+      const shareRaw = (requiredRaw * quoted[index] + totalQuoted - 1n) / totalQuoted;
+      return shareRaw > minimum.toRaw() ? TokenAmount.fromRaw(swap.to, shareRaw) : minimum;
+    });
+  }
+
+  getTokenAddress(symbol) {
+    const token = TOKEN_ADDRESSES[symbol];
+    return token ? token.address : symbol;
+  }
+}
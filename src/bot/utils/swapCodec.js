@@ -0,0 +1,37 @@
+import { ethers } from 'ethers';
+import { ARBITRAGE_FLASH_LOAN_ABI } from '../config/contractAbi.js';
+
+/**
+ * Swap Codec - Encodes swaps in the contract's SwapParams[] calldata layout
+ * The layout is read from the compiled ABI (decodeSwapParams returns exactly what
+ * executeOperation decodes), so a field added to the struct changes the encoding with it
+ */
+const SWAP_PARAMS_TYPE = new ethers.Interface(ARBITRAGE_FLASH_LOAN_ABI)
+  .getFunction('decodeSwapParams')
+  .outputs[0];
+
+/**
+ * Field names of one SwapParams, in struct order
+ */
+export const SWAP_PARAM_FIELDS = SWAP_PARAMS_TYPE.arrayChildren.components.map(component => component.name);
+
+/**
+ * Encode swaps, one object per leg with every SwapParams field, as executeArbitrage params
+ */
+export function encodeSwaps(swaps) {
+  for (const swap of swaps) {
+    const missing = SWAP_PARAM_FIELDS.filter(field => swap[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Swap is missing SwapParams fields: ${missing.join(', ')}`);
+    }
+  }
+  return ethers.AbiCoder.defaultAbiCoder().encode([SWAP_PARAMS_TYPE], [swaps]);
+}
+
+/**
+ * Decode executeArbitrage params back into plain swap objects
+ */
+export function decodeSwaps(params) {
+  const [swaps] = ethers.AbiCoder.defaultAbiCoder().decode([SWAP_PARAMS_TYPE], params);
+  return swaps.map(swap => swap.toObject());
+}
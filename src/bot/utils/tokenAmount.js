@@ -0,0 +1,66 @@
+import BigNumber from 'bignumber.js';
+import { TOKEN_ADDRESSES, getTokenByAddress } from '../config/tokenConfig.js';
+
+/**
+ * Token Amount - A human-unit BigNumber that knows its token and decimals
+ * Values are truncated to the token's precision, so converting to raw units is exact.
+ * Arithmetic returns plain BigNumbers; wrap results again with TokenAmount.from()
+ */
+export class TokenAmount extends BigNumber {
+  constructor(token, value) {
+    super(new BigNumber(value).decimalPlaces(token.decimals, BigNumber.ROUND_DOWN));
+    this.token = token;
+  }
+
+  /**
+   * Amount from a human-unit value (string, number or BigNumber)
+   */
+  static from(tokenOrSymbol, value) {
+    return new TokenAmount(getToken(tokenOrSymbol), value);
+  }
+
+  /**
+   * Amount from raw on-chain units (bigint or decimal string)
+   */
+  static fromRaw(tokenOrSymbol, raw) {
+    const token = getToken(tokenOrSymbol);
+    return new TokenAmount(token, new BigNumber(raw.toString()).shiftedBy(-token.decimals));
+  }
+
+  get symbol() {
+    return this.token.symbol;
+  }
+
+  get decimals() {
+    return this.token.decimals;
+  }
+
+  /**
+   * Raw on-chain units as a bigint, ready for calldata
+   */
+  toRaw() {
+    return BigInt(this.shiftedBy(this.token.decimals).toFixed(0));
+  }
+}
+
+/**
+ * Resolve a token config from a symbol, an address or an existing token config
+ */
+export function getToken(tokenOrSymbol) {
+  if (tokenOrSymbol && typeof tokenOrSymbol === 'object') {
+    return tokenOrSymbol;
+  }
+
+  const token = TOKEN_ADDRESSES[tokenOrSymbol] || (typeof tokenOrSymbol === 'string' && getTokenByAddress(tokenOrSymbol));
+  if (!token) {
+    throw new Error(`Unknown token ${tokenOrSymbol}: add it to TOKEN_ADDRESSES with its decimals`);
+  }
+  return token;
+}
+
+/**
+ * Convert a price in raw units (tokenOut wei per tokenIn wei) to human units
+ */
+export function toHumanPrice(rawPrice, tokenIn, tokenOut) {
+  return new BigNumber(rawPrice).shiftedBy(getToken(tokenIn).decimals - getToken(tokenOut).decimals);
+}
@@ -0,0 +1,262 @@
+import { ethers } from 'ethers';
+
+/**
+ * Transaction Manager - Sends the wallet's transactions with locally assigned nonces and
+ * follows each one to a final outcome within a bounded number of blocks
+ * A transaction still pending after replaceAfterBlocks is sped up (same nonce, fees bumped);
+ * after cancelAfterBlocks it is cancelled with a zero-value self-transfer at that nonce; after
+ * abandonAfterBlocks it is given up as dropped and the nonce is read back from the node.
+ * Outcomes: included, reverted, cancelled, replaced (the nonce was used by a transaction
+ * this manager did not send) and dropped
+ */
+export class TransactionManager {
+  constructor(wallet, gasOracle, options = {}) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.gasOracle = gasOracle;
+    this.replaceAfterBlocks = options.replaceAfterBlocks || 3;
+    this.cancelAfterBlocks = options.cancelAfterBlocks || 10;
+    this.abandonAfterBlocks = options.abandonAfterBlocks || this.cancelAfterBlocks * 2;
+    this.bumpPercent = options.bumpPercent || 12; // Nodes only accept a replacement paying at least 10% more
+    this.maxGasPrice = options.maxGasPrice ?? null; // Cap on sped-up bids, in wei
+    this.pollInterval = options.pollInterval || 1000;
+
+    this.nextNonce = null;
+    this.nonceLock = Promise.resolve(); // Nonce assignment, broadcasts and resyncs run one at a time
+    this.pending = new Map(); // nonce -> tracked transaction
+  }
+
+  /**
+   * Run fn once every earlier nonce operation has finished
+   */
+  withNonceLock(fn) {
+    const result = this.nonceLock.then(fn);
+    this.nonceLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Take the next nonce from the node's pending count (also after a failed or dropped send)
+   * Waits for any broadcast under way, so it never moves below a nonce assigned but not yet sent
+   */
+  syncNonce() {
+    return this.withNonceLock(() => this.readNonce());
+  }
+
+  async readNonce() {
+    this.nextNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+    return this.nextNonce;
+  }
+
+  /**
+   * Broadcast at the next nonce; the nonce is only used up once a node has the transaction
+   * A failed send may still have reached a mempool (the node answered late or the connection
+   * dropped): if the node knows the hash or its pending nonce moved past ours, it was sent
+   */
+  broadcast(request) {
+    return this.withNonceLock(async () => {
+      if (this.nextNonce === null) {
+        await this.readNonce();
+      }
+
+      const nonce = this.nextNonce;
+      const signed = await this.sign(request, nonce);
+      try {
+        await this.provider.broadcastTransaction(signed.transaction);
+      } catch (error) {
+        await this.readNonce();
+        if (this.nextNonce <= nonce && !(await this.isKnown(signed.hash))) {
+          throw error;
+        }
+        console.warn(`⚠️ Sending nonce ${nonce} failed (${error.shortMessage || error.message}) but it reached the node: ${signed.hash}`);
+      }
+
+      this.nextNonce = Math.max(this.nextNonce, nonce + 1);
+      return { nonce, hash: signed.hash };
+    });
+  }
+
+  /**
+   * Sign the transaction at a nonce; its hash is known before anything is sent
+   */
+  async sign(request, nonce) {
+    const populated = await this.wallet.populateTransaction({ ...request, nonce });
+    const transaction = await this.wallet.signTransaction(populated);
+    return { transaction, hash: ethers.keccak256(transaction) };
+  }
+
+  /**
+   * Whether the node has the transaction, pending or mined
+   */
+  async isKnown(hash) {
+    try {
+      return (await this.provider.getTransaction(hash)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a populated transaction and wait for its outcome
+   * Resolves to { status, receipt, hash, nonce, attempts, blocksPending }; rejects only when
+   * the first broadcast fails and no node has the transaction, so nothing is pending.
+   * onBroadcast is called with the first transaction's hash as soon as a node has it
+   */
+  async send(request, onBroadcast = null) {
+    const startBlock = await this.provider.getBlockNumber();
+    const { nonce, hash } = await this.broadcast(request);
+
+    const tracked = {
+      nonce,
+      request,
+      startBlock,
+      attempts: [{ kind: 'original', hash, fees: this.getFees(request), block: startBlock }]
+    };
+    this.pending.set(nonce, tracked);
+    if (onBroadcast) {
+      onBroadcast(hash);
+    }
+
+    try {
+      return await this.track(tracked);
+    } finally {
+      this.pending.delete(nonce);
+    }
+  }
+
+  /**
+   * Poll once per interval until one of the attempts is mined or the nonce is otherwise used
+   */
+  async track(tracked) {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+      const blockNumber = await this.provider.getBlockNumber();
+      const blocksPending = blockNumber - tracked.startBlock;
+      const outcome = await this.checkMined(tracked);
+      if (outcome) {
+        return { ...outcome, nonce: tracked.nonce, attempts: tracked.attempts, blocksPending };
+      }
+
+      if (blocksPending >= this.abandonAfterBlocks) {
+        console.warn(`⚠️ Nonce ${tracked.nonce} still pending after ${blocksPending} blocks, giving it up as dropped`);
+        await this.syncNonce();
+        return { status: 'dropped', receipt: null, hash: this.lastAttempt(tracked).hash, nonce: tracked.nonce, attempts: tracked.attempts, blocksPending };
+      }
+
+      const kinds = tracked.attempts.map(attempt => attempt.kind);
+      if (blocksPending >= this.cancelAfterBlocks && !kinds.includes('cancel')) {
+        await this.cancel(tracked, blockNumber);
+      } else if (blocksPending >= this.replaceAfterBlocks && !kinds.includes('speed-up') && !kinds.includes('cancel')) {
+        await this.speedUp(tracked, blockNumber);
+      }
+    }
+  }
+
+  /**
+   * Outcome if the nonce has been used: by one of our attempts (its receipt) or by another transaction
+   */
+  async checkMined(tracked) {
+    // Read the nonce first: once it is used, any receipt of ours is already visible
+    const used = await this.provider.getTransactionCount(this.wallet.address, 'latest') > tracked.nonce;
+
+    for (const attempt of tracked.attempts) {
+      if (attempt.hash === null) continue; // Skipped or rejected replacement
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (!receipt) continue;
+
+      const status = attempt.kind === 'cancel' ? 'cancelled' : receipt.status === 1 ? 'included' : 'reverted';
+      return { status, receipt, hash: attempt.hash };
+    }
+
+    // A receipt can lag the nonce on another node; only the second poll without one counts
+    tracked.usedPolls = used ? (tracked.usedPolls || 0) + 1 : 0;
+    return tracked.usedPolls >= 2 ? { status: 'replaced', receipt: null, hash: null } : null;
+  }
+
+  /**
+   * Resend the same transaction at the same nonce with bumped fees, unless that breaks the cap
+   */
+  async speedUp(tracked, blockNumber) {
+    const fees = await this.bumpFees(this.lastAttempt(tracked).fees);
+    if (this.maxGasPrice !== null && this.getPrice(fees) > this.maxGasPrice) {
+      console.warn(`⚠️ Speeding up nonce ${tracked.nonce} would exceed the gas price cap, waiting instead`);
+      tracked.attempts.push({ kind: 'speed-up', hash: null, fees: null, block: blockNumber, skipped: true });
+      return;
+    }
+
+    await this.replace(tracked, 'speed-up', { ...tracked.request, ...fees }, fees, blockNumber);
+  }
+
+  /**
+   * Replace the transaction with a zero-value transfer to ourselves at the same nonce
+   * A cancellation burns only 21000 gas, so it may bid above the cap to free the nonce
+   */
+  async cancel(tracked, blockNumber) {
+    const fees = await this.bumpFees(this.lastAttempt(tracked).fees);
+    const request = { to: this.wallet.address, value: 0n, data: '0x', gasLimit: 21000n, ...fees };
+    await this.replace(tracked, 'cancel', request, fees, blockNumber);
+  }
+
+  async replace(tracked, kind, request, fees, blockNumber) {
+    let signed = null;
+    try {
+      signed = await this.sign(request, tracked.nonce);
+      await this.provider.broadcastTransaction(signed.transaction);
+    } catch (error) {
+      // Usually the original was just mined ("nonce too low"); the next poll finds its receipt
+      if (!signed || !(await this.isKnown(signed.hash))) {
+        tracked.attempts.push({ kind, hash: null, fees, block: blockNumber, error: error.message });
+        console.warn(`⚠️ Could not ${kind} nonce ${tracked.nonce}: ${error.shortMessage || error.message}`);
+        return;
+      }
+    }
+
+    tracked.attempts.push({ kind, hash: signed.hash, fees, block: blockNumber });
+    console.log(`🔁 ${kind === 'cancel' ? 'Cancelling' : 'Speeding up'} nonce ${tracked.nonce}: ${signed.hash}`);
+  }
+
+  /**
+   * Raise every fee field by bumpPercent, and at least to what the market pays now
+   */
+  async bumpFees(fees) {
+    const market = this.gasOracle.getTxOverrides(await this.gasOracle.update());
+    const bump = value => value * BigInt(100 + this.bumpPercent) / 100n;
+    const atLeast = (value, floor) => (floor !== undefined && floor > value ? floor : value);
+
+    if (fees.gasPrice !== undefined) {
+      return { gasPrice: atLeast(bump(fees.gasPrice), market.gasPrice) };
+    }
+    return {
+      type: 2,
+      maxFeePerGas: atLeast(bump(fees.maxFeePerGas), market.maxFeePerGas),
+      maxPriorityFeePerGas: atLeast(bump(fees.maxPriorityFeePerGas), market.maxPriorityFeePerGas)
+    };
+  }
+
+  getFees(request) {
+    return request.gasPrice !== undefined
+      ? { gasPrice: request.gasPrice }
+      : { type: 2, maxFeePerGas: request.maxFeePerGas, maxPriorityFeePerGas: request.maxPriorityFeePerGas };
+  }
+
+  /**
+   * Price per gas the fees bid: the legacy gas price, or base fee plus priority fee
+   */
+  getPrice(fees) {
+    if (fees.gasPrice !== undefined) return fees.gasPrice;
+    const baseFee = this.gasOracle.fees && this.gasOracle.fees.baseFee ? this.gasOracle.fees.baseFee : 0n;
+    return baseFee + fees.maxPriorityFeePerGas;
+  }
+
+  /**
+   * Latest attempt that reached the node
+   */
+  lastAttempt(tracked) {
+    return [...tracked.attempts].reverse().find(attempt => attempt.hash !== null);
+  }
+
+  getStats() {
+    return { nextNonce: this.nextNonce, pending: [...this.pending.keys()] };
+  }
+}
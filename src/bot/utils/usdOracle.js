@@ -0,0 +1,209 @@
+import { ethers } from 'ethers';
+import BigNumber from 'bignumber.js';
+import { TOKEN_ADDRESSES, USD_PRICE_FEEDS, AGGREGATOR_V3_ABI } from '../config/tokenConfig.js';
+import { Multicall } from './multicall.js';
+import { toHumanPrice } from './tokenAmount.js';
+
+/**
+ * USD Oracle - Single source of USD prices for the bot and the dashboard
+ * Reads Chainlink aggregators on BSC; when a feed is stale or unreadable, falls back to a
+ * time-weighted average of the token's USDT price observed in our own pool cache
+ */
+export class UsdOracle {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.priceFetcher = options.priceFetcher || null; // Enables the pool TWAP fallback
+    this.multicall = options.multicall || new Multicall(provider);
+    this.feeds = options.feeds || USD_PRICE_FEEDS;
+    this.maxFeedAge = options.maxFeedAge || 90000; // Seconds; stablecoin feeds only update daily
+    this.twapWindow = options.twapWindow || 600000; // 10 minutes
+    this.twapDex = options.twapDex || 'PANCAKESWAP_V2';
+    this.aggregatorInterface = new ethers.Interface(AGGREGATOR_V3_ABI);
+
+    this.feedDecimals = new Map();
+    this.prices = new Map(); // symbol -> { price, source, updatedAt }
+    this.observations = new Map(); // symbol -> [{ timestamp, price }]
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Refresh every feed in one batch, then fill gaps from the pool TWAP
+   */
+  async refresh() {
+    const reads = Object.entries(this.feeds).map(([symbol, feed]) => ({
+      symbol,
+      decimals: this.feedDecimals.has(symbol)
+        ? null
+        : this.multicall.add(feed, this.aggregatorInterface, 'decimals'),
+      round: this.multicall.add(feed, this.aggregatorInterface, 'latestRoundData')
+    }));
+
+    const [results] = await Promise.all([
+      this.multicall.execute(),
+      this.recordObservations()
+    ]);
+
+    for (const read of reads) {
+      if (read.decimals !== null && results[read.decimals].success) {
+        this.feedDecimals.set(read.symbol, Number(results[read.decimals].value));
+      }
+
+      const round = results[read.round];
+      const decimals = this.feedDecimals.get(read.symbol);
+
+      if (round.success && decimals !== undefined && this.isValidRound(round.value)) {
+        this.prices.set(read.symbol, {
+          price: new BigNumber(round.value.answer.toString()).shiftedBy(-decimals),
+          source: 'chainlink',
+          updatedAt: Number(round.value.updatedAt) * 1000
+        });
+        continue;
+      }
+
+      const twap = this.getTwap(read.symbol);
+      if (twap) {
+        this.prices.set(read.symbol, { price: twap, source: 'twap', updatedAt: Date.now() });
+      } else {
+        // A price the feed no longer vouches for must not keep passing as a Chainlink price
+        this.prices.delete(read.symbol);
+        console.warn(`⚠️ No USD price for ${read.symbol}: feed unusable and no pool observations`);
+      }
+    }
+
+    return this.getPrices();
+  }
+
+  /**
+   * Reject empty, stale or incomplete rounds
+   */
+  isValidRound(round) {
+    const age = Date.now() / 1000 - Number(round.updatedAt);
+    return round.answer > 0n &&
+      round.updatedAt > 0n &&
+      round.answeredInRound >= round.roundId &&
+      age <= this.maxFeedAge;
+  }
+
+  /**
+   * Sample each token's mid price against USDT from the pool cache
+   */
+  async recordObservations() {
+    if (!this.priceFetcher) return;
+
+    const usdt = TOKEN_ADDRESSES.USDT;
+    const now = Date.now();
+
+    await Promise.all(Object.keys(this.feeds).map(async symbol => {
+      const token = TOKEN_ADDRESSES[symbol];
+      if (!token || symbol === 'USDT') return;
+
+      try {
+        const { reserveIn, reserveOut } = await this.priceFetcher.v2Engine.loadReserves(
+          this.twapDex, token.address, usdt.address
+        );
+        if (reserveIn === 0n) return;
+
+        const rawPrice = new BigNumber(reserveOut.toString()).div(reserveIn.toString());
+        this.addObservation(symbol, now, toHumanPrice(rawPrice, token, usdt));
+      } catch (error) {
+        // No USDT pool for this token; it relies on its feed alone
+      }
+    }));
+  }
+
+  addObservation(symbol, timestamp, price) {
+    const observations = this.observations.get(symbol) || [];
+    observations.push({ timestamp, price });
+
+    // Keep one observation older than the window so the window is fully covered
+    while (observations.length > 1 && observations[1].timestamp <= timestamp - this.twapWindow) {
+      observations.shift();
+    }
+    this.observations.set(symbol, observations);
+  }
+
+  /**
+   * Time-weighted average USDT price over the window (USDT itself is the unit)
+   */
+  getTwap(symbol) {
+    if (symbol === 'USDT') {
+      return new BigNumber(1);
+    }
+
+    const observations = this.observations.get(symbol);
+    if (!observations || observations.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const windowStart = now - this.twapWindow;
+    let weighted = new BigNumber(0);
+    let totalTime = 0;
+
+    for (let i = 0; i < observations.length; i++) {
+      const start = Math.max(observations[i].timestamp, windowStart);
+      const end = i + 1 < observations.length ? observations[i + 1].timestamp : now;
+      if (end <= start) continue;
+
+      weighted = weighted.plus(observations[i].price.multipliedBy(end - start));
+      totalTime += end - start;
+    }
+
+    // A single fresh observation has no duration yet
+    return totalTime > 0 ? weighted.div(totalTime) : observations[observations.length - 1].price;
+  }
+
+  /**
+   * Last refreshed USD price of a token, or null if unknown
+   */
+  getPrice(symbol) {
+    const entry = this.prices.get(symbol);
+    return entry ? entry.price : null;
+  }
+
+  /**
+   * Where the current price of a token came from: 'chainlink', 'twap' or null
+   */
+  getSource(symbol) {
+    const entry = this.prices.get(symbol);
+    return entry ? entry.source : null;
+  }
+
+  /**
+   * USD value of an amount in human units, or null if the token has no price
+   */
+  toUsd(symbol, amount) {
+    const price = this.getPrice(symbol);
+    return price ? new BigNumber(amount).multipliedBy(price) : null;
+  }
+
+  /**
+   * All prices as plain numbers, for display
+   */
+  getPrices() {
+    const prices = {};
+    for (const [symbol, entry] of this.prices) {
+      prices[symbol] = entry.price.toNumber();
+    }
+    return prices;
+  }
+
+  /**
+   * Load prices now and keep them refreshed
+   */
+  async start(interval = 30000) {
+    await this.refresh();
+
+    this.stop();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ USD price refresh failed:', error.message));
+    }, interval);
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
@@ -0,0 +1,265 @@
+import { ethers } from 'ethers';
+import BigNumber from 'bignumber.js';
+import { FACTORY_ABI, PAIR_ABI } from '../config/dexConfig.js';
+import { computePairAddress, sortTokenAddresses } from './pairAddress.js';
+
+const FEE_DENOMINATOR = 10000n;
+
+/**
+ * V2 Pool Engine - Local constant-product quoting for Uniswap V2 style pairs
+ * Reads getReserves() once per pair and prices any input size without further RPC calls
+ */
+export class V2PoolEngine {
+  constructor(provider, dexConfigs) {
+    this.provider = provider;
+    this.dexConfigs = dexConfigs;
+    this.pairAddresses = new Map(); // Pair addresses never change, cache them forever
+    this.reserves = new Map();
+    this.reserveTimeout = 5000; // 5 seconds, same as the price cache
+    this.livePools = new Set(); // Pairs kept current by Sync events never expire
+    this.factories = {};
+
+    for (const [dexName, config] of Object.entries(this.dexConfigs)) {
+      if (config.type === 'UniswapV2') {
+        this.factories[dexName] = new ethers.Contract(config.factory, FACTORY_ABI, this.provider);
+      }
+    }
+  }
+
+  /**
+   * Get the swap fee of a DEX in basis points (0.0025 -> 25)
+   */
+  getFeeBps(dexName) {
+    const config = this.dexConfigs[dexName];
+    if (!config || config.type !== 'UniswapV2') {
+      throw new Error(`${dexName} is not a V2 DEX`);
+    }
+    return BigInt(Math.round(config.fee * Number(FEE_DENOMINATOR)));
+  }
+
+  /**
+   * Resolve the pair address for two tokens on a DEX (ZeroAddress if the pair does not exist)
+   * An address derived offline is only cached once code is found at it; without an init code
+   * hash the factory is asked
+   */
+  async getPairAddress(dexName, tokenA, tokenB) {
+    const cached = this.getCachedPairAddress(dexName, tokenA, tokenB);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const key = this.getPairKey(dexName, tokenA, tokenB);
+    const derived = this.derivePairAddress(dexName, tokenA, tokenB);
+    if (derived !== null) {
+      const code = await this.provider.getCode(derived);
+      const pairAddress = code === '0x' ? ethers.ZeroAddress : derived;
+      this.pairAddresses.set(key, pairAddress);
+      return pairAddress;
+    }
+
+    const factory = this.factories[dexName];
+    if (!factory) {
+      throw new Error(`Factory not found for ${dexName}`);
+    }
+
+    const pairAddress = await factory.getPair(tokenA, tokenB);
+    this.pairAddresses.set(key, pairAddress);
+    return pairAddress;
+  }
+
+  /**
+   * Pair address if it is confirmed (by the pool registry, the factory or deployed code),
+   * undefined otherwise; a derived address is not enough, as no pair may be deployed there
+   */
+  getCachedPairAddress(dexName, tokenA, tokenB) {
+    return this.pairAddresses.get(this.getPairKey(dexName, tokenA, tokenB));
+  }
+
+  /**
+   * CREATE2 pair address from the DEX's factory and init code hash, or null without a hash
+   */
+  derivePairAddress(dexName, tokenA, tokenB) {
+    const config = this.dexConfigs[dexName];
+    if (config?.type !== 'UniswapV2' || !config.initCodeHash) return null;
+    return computePairAddress(config.factory, tokenA, tokenB, config.initCodeHash);
+  }
+
+  /**
+   * Store a pair address resolved elsewhere (batched factory reads)
+   */
+  cachePairAddress(dexName, tokenA, tokenB, pairAddress) {
+    this.pairAddresses.set(this.getPairKey(dexName, tokenA, tokenB), pairAddress);
+  }
+
+  /**
+   * Load reserves for a pair, oriented in the direction of the swap
+   * With a blockTag the reserves are those at that block
+   */
+  async loadReserves(dexName, tokenIn, tokenOut, blockTag = null) {
+    const pairAddress = await this.getPairAddress(dexName, tokenIn, tokenOut);
+    if (pairAddress === ethers.ZeroAddress) {
+      throw new Error(`No ${dexName} pair for ${tokenIn}/${tokenOut}`);
+    }
+
+    let state = this.reserves.get(pairAddress.toLowerCase());
+    if (!this.isFresh(pairAddress, blockTag)) {
+      const pair = new ethers.Contract(pairAddress, PAIR_ABI, this.provider);
+      const reserves = await pair.getReserves(blockTag !== null ? { blockTag } : {});
+      state = this.setReserves(pairAddress, this.sortTokens(tokenIn, tokenOut)[0], reserves[0], reserves[1], blockTag);
+    }
+
+    const inIsToken0 = state.token0.toLowerCase() === tokenIn.toLowerCase();
+    return {
+      pairAddress,
+      reserveIn: inIsToken0 ? state.reserve0 : state.reserve1,
+      reserveOut: inIsToken0 ? state.reserve1 : state.reserve0
+    };
+  }
+
+  /**
+   * Store reserves read elsewhere (batched calls, event feeds) so quotes can use them
+   * blockNumber is the block the reserves were read at (null if unknown); a read older
+   * than the cached state is returned to the caller but not cached
+   */
+  setReserves(pairAddress, token0, reserve0, reserve1, blockNumber = null) {
+    const address = pairAddress.toLowerCase();
+    const state = {
+      token0,
+      reserve0: BigInt(reserve0),
+      reserve1: BigInt(reserve1),
+      blockNumber,
+      timestamp: Date.now()
+    };
+
+    const current = this.reserves.get(address);
+    if (!current || current.blockNumber === null || blockNumber === null || blockNumber >= current.blockNumber) {
+      this.reserves.set(address, state);
+    }
+    return state;
+  }
+
+  /**
+   * Whether cached reserves can be used without another read
+   * Pinned to a block, only reserves read at that block qualify, or live reserves
+   * whose last update is not newer than it
+   */
+  isFresh(pairAddress, blockTag = null) {
+    const address = pairAddress.toLowerCase();
+    const state = this.reserves.get(address);
+    if (!state) return false;
+
+    const isLive = this.livePools.has(address);
+    if (blockTag === null) {
+      return isLive || Date.now() - state.timestamp < this.reserveTimeout;
+    }
+    if (state.blockNumber === null) return false;
+    return isLive ? state.blockNumber <= blockTag : state.blockNumber === blockTag;
+  }
+
+  /**
+   * Mark a pair as kept current by an event feed (or no longer)
+   */
+  setLive(pairAddress, isLive) {
+    if (isLive) {
+      this.livePools.add(pairAddress.toLowerCase());
+    } else {
+      this.livePools.delete(pairAddress.toLowerCase());
+    }
+  }
+
+  /**
+   * Quote an exact-input swap on a single pair
+   * Amounts are raw token units (bigint); prices are tokenOut per tokenIn in raw units
+   */
+  async quote(dexName, tokenIn, tokenOut, amountIn, blockTag = null) {
+    const { pairAddress, reserveIn, reserveOut } = await this.loadReserves(dexName, tokenIn, tokenOut, blockTag);
+    const feeBps = this.getFeeBps(dexName);
+
+    return {
+      pairAddress,
+      ...V2PoolEngine.simulate(BigInt(amountIn), reserveIn, reserveOut, feeBps)
+    };
+  }
+
+  /**
+   * Quote an exact-input swap along a multi-token route on the same DEX
+   */
+  async quoteRoute(dexName, route, amountIn, blockTag = null) {
+    let amount = BigInt(amountIn);
+    for (let i = 0; i < route.length - 1; i++) {
+      const result = await this.quote(dexName, route[i], route[i + 1], amount, blockTag);
+      amount = result.amountOut;
+    }
+    return amount;
+  }
+
+  /**
+   * Constant-product math for one swap: amountOut, price impact and marginal price
+   */
+  static simulate(amountIn, reserveIn, reserveOut, feeBps) {
+    const amountOut = V2PoolEngine.getAmountOut(amountIn, reserveIn, reserveOut, feeBps);
+    const feeMultiplier = new BigNumber((FEE_DENOMINATOR - feeBps).toString()).div(FEE_DENOMINATOR.toString());
+    const rIn = new BigNumber(reserveIn.toString());
+    const rOut = new BigNumber(reserveOut.toString());
+
+    // Price of an infinitesimal trade, after fees
+    const spotPrice = rOut.div(rIn).multipliedBy(feeMultiplier);
+
+    // Average price actually received for this input size
+    const executionPrice = amountIn > 0n
+      ? new BigNumber(amountOut.toString()).div(amountIn.toString())
+      : spotPrice;
+
+    // d(amountOut)/d(amountIn) at this input size: rIn * rOut * γ / (rIn + γ * amountIn)^2
+    const effectiveIn = rIn.plus(feeMultiplier.multipliedBy(amountIn.toString()));
+    const marginalPrice = rIn.multipliedBy(rOut).multipliedBy(feeMultiplier).div(effectiveIn.pow(2));
+
+    const priceImpact = spotPrice.isZero()
+      ? 0
+      : spotPrice.minus(executionPrice).div(spotPrice).multipliedBy(100).abs().toNumber();
+
+    return {
+      amountOut,
+      reserveIn,
+      reserveOut,
+      spotPrice,
+      executionPrice,
+      marginalPrice,
+      priceImpact
+    };
+  }
+
+  /**
+   * Uniswap V2 getAmountOut with a configurable fee in basis points
+   */
+  static getAmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+    if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+      return 0n;
+    }
+
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - feeBps);
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+    return numerator / denominator;
+  }
+
+  /**
+   * Sort two token addresses the way V2 factories do
+   */
+  sortTokens(tokenA, tokenB) {
+    return sortTokenAddresses(tokenA, tokenB);
+  }
+
+  getPairKey(dexName, tokenA, tokenB) {
+    const [token0, token1] = this.sortTokens(tokenA, tokenB);
+    return `${dexName}-${token0.toLowerCase()}-${token1.toLowerCase()}`;
+  }
+
+  /**
+   * Drop cached reserves (pair addresses are kept)
+   */
+  clearCache() {
+    this.reserves.clear();
+    this.livePools.clear();
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * V3 Math - BigInt ports of the Uniswap V3 core libraries used by swaps
+ * TickMath, FullMath, SqrtPriceMath, SwapMath and TickBitmap, rounding exactly like the contracts
+ */
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+export const Q96 = 1n << 96n;
+export const FEE_PIPS_DENOMINATOR = 1000000n;
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// TickMath.getSqrtRatioAtTick multipliers, one per bit of |tick|
+const TICK_RATIOS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n]
+];
+
+/**
+ * FullMath.mulDiv: floor(a * b / denominator)
+ */
+export function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+/**
+ * FullMath.mulDivRoundingUp: ceil(a * b / denominator)
+ */
+export function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator > 0n ? result + 1n : result;
+}
+
+function divRoundingUp(a, b) {
+  const result = a / b;
+  return a % b > 0n ? result + 1n : result;
+}
+
+/**
+ * TickMath.getSqrtRatioAtTick: sqrt(1.0001^tick) as a Q64.96
+ */
+export function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  for (const [bit, multiplier] of TICK_RATIOS) {
+    if ((absTick & bit) !== 0) {
+      ratio = (ratio * multiplier) >> 128n;
+    }
+  }
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Round up so getTickAtSqrtRatio(getSqrtRatioAtTick(tick)) == tick
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * TickMath.getTickAtSqrtRatio: greatest tick whose sqrt ratio is <= sqrtPriceX96
+ */
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`Sqrt price out of range: ${sqrtPriceX96}`);
+  }
+
+  // getSqrtRatioAtTick is monotonic, so a binary search gives the same answer as the log2 approximation
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromAmount0RoundingUp
+ */
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+  if (amount === 0n) return sqrtPriceX96;
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPriceX96;
+
+  if (add) {
+    // The contract falls back to the less precise formula when the product overflows uint256
+    if (product <= MAX_UINT256) {
+      const denominator = numerator1 + product;
+      if (denominator <= MAX_UINT256) {
+        return mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+      }
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+  }
+
+  if (product > MAX_UINT256 || numerator1 <= product) {
+    throw new Error('Insufficient liquidity for amount0 output');
+  }
+  return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 - product);
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromAmount1RoundingDown
+ */
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+  if (add) {
+    const quotient = amount <= MAX_UINT160
+      ? (amount << 96n) / liquidity
+      : mulDiv(amount, Q96, liquidity);
+    return sqrtPriceX96 + quotient;
+  }
+
+  const quotient = amount <= MAX_UINT160
+    ? divRoundingUp(amount << 96n, liquidity)
+    : mulDivRoundingUp(amount, Q96, liquidity);
+  if (sqrtPriceX96 <= quotient) {
+    throw new Error('Insufficient liquidity for amount1 output');
+  }
+  return sqrtPriceX96 - quotient;
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromInput
+ */
+export function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  if (sqrtPriceX96 <= 0n || liquidity <= 0n) {
+    throw new Error('Price and liquidity must be positive');
+  }
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+}
+
+/**
+ * SqrtPriceMath.getAmount0Delta (unsigned)
+ */
+export function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), sqrtRatioAX96)
+    : mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+}
+
+/**
+ * SqrtPriceMath.getAmount1Delta (unsigned)
+ */
+export function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96)
+    : mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+}
+
+/**
+ * SwapMath.computeSwapStep for exact-input swaps
+ */
+export function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const fee = BigInt(feePips);
+
+  const amountRemainingLessFee = mulDiv(amountRemaining, FEE_PIPS_DENOMINATOR - fee, FEE_PIPS_DENOMINATOR);
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+    : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+
+  const sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+    ? sqrtRatioTargetX96
+    : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+
+  const reachedTarget = sqrtRatioTargetX96 === sqrtRatioNextX96;
+  let amountOut;
+
+  if (zeroForOne) {
+    if (!reachedTarget) amountIn = getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    if (!reachedTarget) amountIn = getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  // The remainder of the input is taken as fee when the step stops short of the target
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, fee, FEE_PIPS_DENOMINATOR - fee)
+    : amountRemaining - amountIn;
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * LiquidityMath.addDelta
+ */
+export function addDelta(liquidity, delta) {
+  const result = liquidity + delta;
+  if (result < 0n) {
+    throw new Error('Liquidity underflow');
+  }
+  return result;
+}
+
+/**
+ * TickBitmap.position: word index and bit index of a compressed tick
+ */
+export function tickPosition(compressedTick) {
+  return {
+    wordPos: compressedTick >> 8,
+    bitPos: compressedTick & 0xff
+  };
+}
+
+/**
+ * Compress a tick by the tick spacing, rounding towards negative infinity
+ */
+export function compressTick(tick, tickSpacing) {
+  let compressed = Math.trunc(tick / tickSpacing);
+  if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+  return compressed;
+}
+
+function mostSignificantBit(x) {
+  return x.toString(2).length - 1;
+}
+
+function leastSignificantBit(x) {
+  return mostSignificantBit(x & -x);
+}
+
+/**
+ * TickBitmap.nextInitializedTickWithinOneWord
+ * getWord(wordPos) returns the bitmap word, or undefined when that word has not been loaded
+ */
+export function nextInitializedTickWithinOneWord(getWord, tick, tickSpacing, lte) {
+  const compressed = compressTick(tick, tickSpacing);
+
+  if (lte) {
+    const { wordPos, bitPos } = tickPosition(compressed);
+    const word = getWord(wordPos);
+    if (word === undefined) return { loaded: false, wordPos };
+
+    const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+    const masked = word & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+      ? (compressed - (bitPos - mostSignificantBit(masked))) * tickSpacing
+      : (compressed - bitPos) * tickSpacing;
+    return { loaded: true, next, initialized };
+  }
+
+  const { wordPos, bitPos } = tickPosition(compressed + 1);
+  const word = getWord(wordPos);
+  if (word === undefined) return { loaded: false, wordPos };
+
+  const mask = MAX_UINT256 ^ ((1n << BigInt(bitPos)) - 1n);
+  const masked = word & mask;
+  const initialized = masked !== 0n;
+  const next = initialized
+    ? (compressed + 1 + (leastSignificantBit(masked) - bitPos)) * tickSpacing
+    : (compressed + 1 + (255 - bitPos)) * tickSpacing;
+  return { loaded: true, next, initialized };
+}
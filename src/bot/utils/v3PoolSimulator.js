@@ -0,0 +1,397 @@
+import { ethers } from 'ethers';
+import BigNumber from 'bignumber.js';
+import { POOL_V3_ABI } from '../config/dexConfig.js';
+import { Multicall } from './multicall.js';
+import {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  Q96,
+  FEE_PIPS_DENOMINATOR,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  computeSwapStep,
+  addDelta,
+  compressTick,
+  tickPosition,
+  nextInitializedTickWithinOneWord
+} from './v3Math.js';
+
+/**
+ * V3 Pool Simulator - Local exact-input swaps for Uniswap V3 / PancakeSwap V3 pools
+ * Loads slot0, liquidity and the initialized ticks around the current price, then
+ * simulates swaps across tick boundaries the same way the pool contract does
+ */
+export class V3PoolSimulator {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.multicall = options.multicall || new Multicall(provider);
+    this.poolInterface = new ethers.Interface(POOL_V3_ABI);
+    this.pools = new Map();
+    this.wordRadius = options.wordRadius || 2; // Bitmap words loaded on each side of the current tick
+    this.maxWordRadius = options.maxWordRadius || 16;
+    this.stateTimeout = options.stateTimeout || 5000; // 5 seconds, same as the price cache
+    this.livePools = new Set(); // Pools kept current by Swap events never expire
+  }
+
+  /**
+   * Load or refresh several pools with three batched round trips:
+   * core state, tick bitmap words around the current tick, then the initialized ticks
+   * With a blockTag every read is made at that block. Returns the loaded states by address;
+   * a state older than the cached one is returned but not cached
+   */
+  async loadPools(poolAddresses, wordRadius = this.wordRadius, blockTag = null) {
+    const addresses = [...new Set(poolAddresses.map(address => address.toLowerCase()))];
+    const loaded = new Map();
+    if (addresses.length === 0) return loaded;
+
+    // Round trip 1: price, liquidity and (first time only) immutable pool parameters
+    const coreReads = addresses.map(address => {
+      const known = this.pools.get(address);
+      const reads = {
+        slot0: this.multicall.add(address, this.poolInterface, 'slot0'),
+        liquidity: this.multicall.add(address, this.poolInterface, 'liquidity')
+      };
+      if (!known) {
+        reads.fee = this.multicall.add(address, this.poolInterface, 'fee');
+        reads.tickSpacing = this.multicall.add(address, this.poolInterface, 'tickSpacing');
+        reads.token0 = this.multicall.add(address, this.poolInterface, 'token0');
+        reads.token1 = this.multicall.add(address, this.poolInterface, 'token1');
+      }
+      return { address, known, reads };
+    });
+
+    const coreResults = await this.multicall.execute(blockTag !== null ? { blockTag } : {});
+
+    for (const { address, known, reads } of coreReads) {
+      const failed = Object.values(reads).some(index => !coreResults[index].success);
+      if (failed) {
+        if (!this.livePools.has(address)) {
+          this.pools.delete(address);
+        }
+        continue;
+      }
+
+      const slot0 = coreResults[reads.slot0].value;
+      const state = {
+        address,
+        token0: known ? known.token0 : coreResults[reads.token0].value,
+        token1: known ? known.token1 : coreResults[reads.token1].value,
+        fee: known ? known.fee : Number(coreResults[reads.fee].value),
+        tickSpacing: known ? known.tickSpacing : Number(coreResults[reads.tickSpacing].value),
+        sqrtPriceX96: slot0[0],
+        tick: Number(slot0[1]),
+        liquidity: coreResults[reads.liquidity].value,
+        bitmap: new Map(),
+        ticks: new Map(),
+        blockNumber: blockTag,
+        timestamp: Date.now()
+      };
+
+      if (!known || known.blockNumber === null || blockTag === null || blockTag >= known.blockNumber) {
+        this.pools.set(address, state);
+      }
+      loaded.set(address, state);
+    }
+
+    // Round trips 2 and 3: bitmap words and their initialized ticks
+    const wordRequests = [...loaded.values()].map(state => {
+      const { wordPos } = tickPosition(compressTick(state.tick, state.tickSpacing));
+      return { state, fromWord: wordPos - wordRadius, toWord: wordPos + wordRadius };
+    });
+    await this.loadWords(wordRequests, blockTag);
+
+    return loaded;
+  }
+
+  /**
+   * Load a single pool
+   */
+  async loadPool(poolAddress, wordRadius = this.wordRadius, blockTag = null) {
+    const loaded = await this.loadPools([poolAddress], wordRadius, blockTag);
+    return loaded.get(poolAddress.toLowerCase());
+  }
+
+  /**
+   * Load tick bitmap words and the liquidityNet of every initialized tick in them
+   */
+  async loadWords(wordRequests, blockTag = null) {
+    const overrides = blockTag !== null ? { blockTag } : {};
+    const bitmapReads = [];
+    for (const { state, fromWord, toWord } of wordRequests) {
+      for (let wordPos = fromWord; wordPos <= toWord; wordPos++) {
+        if (state.bitmap.has(wordPos)) continue;
+        bitmapReads.push({
+          state,
+          wordPos,
+          index: this.multicall.add(state.address, this.poolInterface, 'tickBitmap', [wordPos])
+        });
+      }
+    }
+    if (bitmapReads.length === 0) return;
+
+    const bitmapResults = await this.multicall.execute(overrides);
+    const tickReads = [];
+
+    for (const { state, wordPos, index } of bitmapReads) {
+      const result = bitmapResults[index];
+      if (!result.success) continue; // Leave the word unloaded; swaps stop short of it
+
+      const word = BigInt(result.value);
+      if (word === 0n) {
+        state.bitmap.set(wordPos, word);
+        continue;
+      }
+
+      for (let bitPos = 0; bitPos < 256; bitPos++) {
+        if ((word >> BigInt(bitPos)) & 1n) {
+          const tick = ((wordPos << 8) + bitPos) * state.tickSpacing;
+          tickReads.push({
+            state,
+            wordPos,
+            word,
+            tick,
+            index: this.multicall.add(state.address, this.poolInterface, 'ticks', [tick])
+          });
+        }
+      }
+    }
+
+    if (tickReads.length === 0) return;
+
+    const tickResults = await this.multicall.execute(overrides);
+    const failedWords = new Set();
+
+    for (const { state, wordPos, tick, index } of tickReads) {
+      const result = tickResults[index];
+      if (!result.success) {
+        failedWords.add(`${state.address}:${wordPos}`);
+        continue;
+      }
+      state.ticks.set(tick, BigInt(result.value[1])); // liquidityNet
+    }
+
+    // A word is only usable once every tick in it is known
+    for (const { state, wordPos, word } of tickReads) {
+      if (!failedWords.has(`${state.address}:${wordPos}`)) {
+        state.bitmap.set(wordPos, word);
+      }
+    }
+  }
+
+  /**
+   * Get the cached state of a pool (undefined if never loaded)
+   */
+  getPoolState(poolAddress) {
+    return this.pools.get(poolAddress.toLowerCase());
+  }
+
+  /**
+   * Whether the cached state can be used without another read
+   * Pinned to a block, only state read at that block qualifies, or live state
+   * whose last update is not newer than it
+   */
+  isFresh(poolAddress, blockTag = null) {
+    const address = poolAddress.toLowerCase();
+    const state = this.pools.get(address);
+    if (!state) return false;
+
+    const isLive = this.livePools.has(address);
+    if (blockTag === null) {
+      return isLive || Date.now() - state.timestamp < this.stateTimeout;
+    }
+    if (state.blockNumber === null) return false;
+    return isLive ? state.blockNumber <= blockTag : state.blockNumber === blockTag;
+  }
+
+  /**
+   * Mark a pool as kept current by an event feed (or no longer)
+   */
+  setLive(poolAddress, isLive) {
+    if (isLive) {
+      this.livePools.add(poolAddress.toLowerCase());
+    } else {
+      this.livePools.delete(poolAddress.toLowerCase());
+    }
+  }
+
+  /**
+   * Forget a pool's cached state, so the next quote reads it from the chain
+   */
+  invalidate(poolAddress) {
+    this.pools.delete(poolAddress.toLowerCase());
+    this.livePools.delete(poolAddress.toLowerCase());
+  }
+
+  /**
+   * Store a recorded pool state, e.g. a cached snapshot for offline simulation
+   */
+  setPoolState(state) {
+    const normalized = V3PoolSimulator.deserializeState(state);
+    this.pools.set(normalized.address, normalized);
+    return normalized;
+  }
+
+  /**
+   * Quote an exact-input swap, loading or widening the pool state as needed
+   */
+  async quote(poolAddress, tokenIn, amountIn, blockTag = null) {
+    let state = this.getPoolState(poolAddress);
+    if (!this.isFresh(poolAddress, blockTag)) {
+      state = await this.loadPool(poolAddress, this.wordRadius, blockTag);
+      if (!state) {
+        throw new Error(`Failed to load V3 pool ${poolAddress}`);
+      }
+    }
+
+    const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+    let wordRadius = this.wordRadius;
+
+    while (true) {
+      const result = V3PoolSimulator.simulateExactInput(state, zeroForOne, BigInt(amountIn));
+      if (result.complete) {
+        return result;
+      }
+
+      // The swap ran past the loaded ticks; widen the window and try again
+      wordRadius *= 2;
+      if (wordRadius > this.maxWordRadius) {
+        throw new Error(`Swap crosses more ticks than loaded for pool ${poolAddress}`);
+      }
+
+      const { wordPos } = tickPosition(compressTick(state.tick, state.tickSpacing));
+      await this.loadWords([{ state, fromWord: wordPos - wordRadius, toWord: wordPos + wordRadius }], blockTag);
+    }
+  }
+
+  /**
+   * Simulate an exact-input swap on a pool state (UniswapV3Pool.swap without a price limit)
+   * Returns complete: false if the swap needs a tick bitmap word that is not loaded
+   */
+  static simulateExactInput(state, zeroForOne, amountIn) {
+    const sqrtPriceLimitX96 = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+    const getWord = wordPos => state.bitmap.get(wordPos);
+
+    let amountRemaining = amountIn;
+    let amountOut = 0n;
+    let sqrtPriceX96 = state.sqrtPriceX96;
+    let tick = state.tick;
+    let liquidity = state.liquidity;
+    let ticksCrossed = 0;
+
+    while (amountRemaining !== 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+      const sqrtPriceStartX96 = sqrtPriceX96;
+      const step = nextInitializedTickWithinOneWord(getWord, tick, state.tickSpacing, zeroForOne);
+      if (!step.loaded) {
+        return { complete: false, amountOut, wordPos: step.wordPos };
+      }
+
+      const tickNext = Math.min(Math.max(step.next, MIN_TICK), MAX_TICK);
+      const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+      const sqrtPriceTargetX96 = (zeroForOne ? sqrtPriceNextX96 < sqrtPriceLimitX96 : sqrtPriceNextX96 > sqrtPriceLimitX96)
+        ? sqrtPriceLimitX96
+        : sqrtPriceNextX96;
+
+      const swapStep = computeSwapStep(sqrtPriceX96, sqrtPriceTargetX96, liquidity, amountRemaining, state.fee);
+      sqrtPriceX96 = swapStep.sqrtRatioNextX96;
+      amountRemaining -= swapStep.amountIn + swapStep.feeAmount;
+      amountOut += swapStep.amountOut;
+
+      if (sqrtPriceX96 === sqrtPriceNextX96) {
+        if (step.initialized) {
+          const liquidityNet = state.ticks.get(tickNext);
+          if (liquidityNet === undefined) {
+            return { complete: false, amountOut, wordPos: tickPosition(compressTick(tickNext, state.tickSpacing)).wordPos };
+          }
+          liquidity = addDelta(liquidity, zeroForOne ? -liquidityNet : liquidityNet);
+          ticksCrossed++;
+        }
+        tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+        tick = getTickAtSqrtRatio(sqrtPriceX96);
+      }
+    }
+
+    const spotPrice = V3PoolSimulator.getSpotPrice(state.sqrtPriceX96, state.fee, zeroForOne);
+    const executionPrice = amountIn > 0n
+      ? new BigNumber(amountOut.toString()).div(amountIn.toString())
+      : spotPrice;
+    const priceImpact = spotPrice.isZero()
+      ? 0
+      : spotPrice.minus(executionPrice).div(spotPrice).multipliedBy(100).abs().toNumber();
+
+    return {
+      complete: true,
+      amountIn: amountIn - amountRemaining,
+      amountOut,
+      sqrtPriceX96After: sqrtPriceX96,
+      tickAfter: tick,
+      liquidityAfter: liquidity,
+      ticksCrossed,
+      spotPrice,
+      executionPrice,
+      marginalPrice: V3PoolSimulator.getSpotPrice(sqrtPriceX96, state.fee, zeroForOne),
+      priceImpact
+    };
+  }
+
+  /**
+   * Price of an infinitesimal trade after fees, tokenOut per tokenIn in raw units
+   */
+  static getSpotPrice(sqrtPriceX96, fee, zeroForOne) {
+    const sqrtPrice = new BigNumber(sqrtPriceX96.toString()).div(Q96.toString());
+    const price1Per0 = sqrtPrice.pow(2);
+    const feeMultiplier = new BigNumber((FEE_PIPS_DENOMINATOR - BigInt(fee)).toString()).div(FEE_PIPS_DENOMINATOR.toString());
+    const price = zeroForOne ? price1Per0 : new BigNumber(1).div(price1Per0);
+    return price.multipliedBy(feeMultiplier);
+  }
+
+  /**
+   * Convert a pool state to plain JSON (bigints as strings) for recording snapshots
+   */
+  static serializeState(state) {
+    return {
+      address: state.address,
+      token0: state.token0,
+      token1: state.token1,
+      fee: state.fee,
+      tickSpacing: state.tickSpacing,
+      sqrtPriceX96: state.sqrtPriceX96.toString(),
+      tick: state.tick,
+      liquidity: state.liquidity.toString(),
+      bitmap: Object.fromEntries([...state.bitmap].map(([wordPos, word]) => [wordPos, word.toString()])),
+      ticks: Object.fromEntries([...state.ticks].map(([tick, liquidityNet]) => [tick, liquidityNet.toString()])),
+      blockNumber: state.blockNumber,
+      timestamp: state.timestamp
+    };
+  }
+
+  /**
+   * Inverse of serializeState
+   */
+  static deserializeState(json) {
+    return {
+      address: json.address.toLowerCase(),
+      token0: json.token0,
+      token1: json.token1,
+      fee: Number(json.fee),
+      tickSpacing: Number(json.tickSpacing),
+      sqrtPriceX96: BigInt(json.sqrtPriceX96),
+      tick: Number(json.tick),
+      liquidity: BigInt(json.liquidity),
+      bitmap: new Map(Object.entries(json.bitmap || {}).map(([wordPos, word]) => [Number(wordPos), BigInt(word)])),
+      ticks: new Map(Object.entries(json.ticks || {}).map(([tick, liquidityNet]) => [Number(tick), BigInt(liquidityNet)])),
+      blockNumber: json.blockNumber ?? null,
+      timestamp: json.timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Drop all cached pool states
+   */
+  clearCache() {
+    this.pools.clear();
+    this.livePools.clear();
+  }
+}
@@ -1,6 +1,14 @@
 import { expect } from "chai";
-import { ethers } from "hardhat";
+import hre from "hardhat";
 import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import BigNumber from "bignumber.js";
+import { ARBITRAGE_FLASH_LOAN_ABI } from "../src/bot/config/contractAbi.js";
+import { SWAP_PARAM_FIELDS, encodeSwaps } from "../src/bot/utils/swapCodec.js";
+import { FlashLoanExecutor } from "../src/bot/utils/flashLoanExecutor.js";
+import { TOKEN_ADDRESSES } from "../src/bot/config/tokenConfig.js";
+
+// hardhat is CommonJS, so its runtime fields are not named exports
+const { ethers, artifacts } = hre;
 
 describe("ArbitrageFlashLoan", function () {
   // Fixture for deploying the contract
@@ -55,7 +63,7 @@ describe("ArbitrageFlashLoan", function () {
       
       await expect(
         arbitrageContract.connect(user).setAuthorizedExecutor(executor.address, true)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(arbitrageContract, "OwnableUnauthorizedAccount");
     });
   });
 
@@ -131,7 +139,7 @@ describe("ArbitrageFlashLoan", function () {
       
       await expect(
         arbitrageContract.connect(user).pause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(arbitrageContract, "OwnableUnauthorizedAccount");
     });
   });
 
@@ -166,10 +174,114 @@ describe("ArbitrageFlashLoan", function () {
     });
   });
 
+  describe("Swap Params Codec", function () {
+    it("Should match the ABI the bot encodes with to the compiled contract", async function () {
+      const { abi } = await artifacts.readArtifact("ArbitrageFlashLoan");
+      
+      // Stale means the contract changed without `npm run abi:export`
+      expect(ARBITRAGE_FLASH_LOAN_ABI).to.deep.equal(abi);
+    });
+
+    it("Should decode the executor's params exactly as encoded", async function () {
+      const { arbitrageContract, owner } = await loadFixture(deployArbitrageFlashLoanFixture);
+      const executor = new FlashLoanExecutor(owner, await arbitrageContract.getAddress());
+      
+      // WBNB -> USDT split across two venues, then USDT -> WBNB on a V3 pool
+      const opportunity = {
+        flashLoanAsset: "WBNB",
+        flashLoanAmount: new BigNumber("1"),
+        flashLoanFee: new BigNumber("0.0009"), // Premium the scanner costed it with
+        gasCost: new BigNumber("0.001"),
+        swapDetails: [
+          {
+            from: "WBNB",
+            to: "USDT",
+            legs: [
+              { dex: "PANCAKESWAP_V2", shareBps: 7000, amountIn: new BigNumber("0.7"), amountOut: new BigNumber("420.5") },
+              { dex: "BISWAP", shareBps: 3000, amountIn: new BigNumber("0.3"), amountOut: new BigNumber("180.25") }
+            ]
+          },
+          {
+            from: "USDT",
+            to: "WBNB",
+            legs: [
+              { dex: "PANCAKESWAP_V3", fee: 500, shareBps: 10000, amountIn: new BigNumber("600.75"), amountOut: new BigNumber("1.01") }
+            ]
+          }
+        ]
+      };
+      
+      const params = await executor.prepareExecutionParams(opportunity);
+      const decoded = await arbitrageContract.decodeSwapParams(params);
+      
+      expect(decoded.length).to.equal(3);
+      expect(decoded.map(swap => swap.dexId)).to.deep.equal([0n, 2n, 1n]);
+      expect(decoded.map(swap => swap.shareBps)).to.deep.equal([7000n, 3000n, 10000n]);
+      expect(decoded[0].tokenIn).to.equal(TOKEN_ADDRESSES.WBNB.address);
+      expect(decoded[0].tokenOut).to.equal(TOKEN_ADDRESSES.USDT.address);
+      expect(decoded[0].amountIn).to.equal(ethers.parseUnits("0.7", TOKEN_ADDRESSES.WBNB.decimals));
+      expect(decoded[2].amountIn).to.equal(ethers.parseUnits("600.75", TOKEN_ADDRESSES.USDT.decimals));
+      expect(decoded[1].extraData).to.equal("0x");
+      expect(decoded[2].extraData).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["uint24"], [500]));
+      
+      // Minimums sit below the quotes; the final hop still repays loan, premium and minimum profit
+      expect(decoded[0].amountOutMin).to.be.lt(ethers.parseUnits("420.5", TOKEN_ADDRESSES.USDT.decimals));
+      expect(decoded[2].amountOutMin).to.be.gte(ethers.parseUnits("1.0069", TOKEN_ADDRESSES.WBNB.decimals)); // 1 + 0.0009 + 0.5% + gas
+      expect(decoded[2].amountOutMin).to.be.lte(ethers.parseUnits("1.01", TOKEN_ADDRESSES.WBNB.decimals));
+      expect(decoded[0].deadlineBlock).to.equal(BigInt(await ethers.provider.getBlockNumber() + 5));
+      
+      // Every field survives the trip through the contract
+      const roundTrip = await arbitrageContract.decodeSwapParams(encodeSwaps(decoded.map(swap => swap.toObject())));
+      for (let i = 0; i < decoded.length; i++) {
+        for (const field of SWAP_PARAM_FIELDS) {
+          expect(roundTrip[i][field]).to.equal(decoded[i][field]);
+        }
+      }
+    });
+
+    it("Should refuse to send swaps that cannot return principal, premium and minimum profit", async function () {
+      const { arbitrageContract, owner } = await loadFixture(deployArbitrageFlashLoanFixture);
+      const executor = new FlashLoanExecutor(owner, await arbitrageContract.getAddress());
+      
+      const opportunity = {
+        flashLoanAsset: "WBNB",
+        flashLoanAmount: new BigNumber("1"),
+        flashLoanFee: new BigNumber("0.0009"),
+        gasCost: new BigNumber("0.001"),
+        swapDetails: [
+          { from: "WBNB", to: "USDT", legs: [{ dex: "PANCAKESWAP_V2", shareBps: 10000, amountIn: new BigNumber("1"), amountOut: new BigNumber("600") }] },
+          { from: "USDT", to: "WBNB", legs: [{ dex: "BISWAP", shareBps: 10000, amountIn: new BigNumber("600"), amountOut: new BigNumber("1.003") }] }
+        ]
+      };
+      
+      await expect(executor.prepareExecutionParams(opportunity)).to.be.rejectedWith("does not cover principal + premium + minimum profit");
+    });
+
+    it("Should refuse to encode a swap missing a SwapParams field", async function () {
+      const swap = Object.fromEntries(SWAP_PARAM_FIELDS.map(field => [field, 0]));
+      delete swap.extraData;
+      
+      expect(() => encodeSwaps([swap])).to.throw("extraData");
+    });
+  });
+
+  describe("Executor Startup Checks", function () {
+    it("Should verify the deployed bytecode against the compiled ABI", async function () {
+      const { arbitrageContract, owner, mockAddressProvider } = await loadFixture(deployArbitrageFlashLoanFixture);
+      
+      const executor = new FlashLoanExecutor(owner, await arbitrageContract.getAddress());
+      expect(await executor.verifyContract()).to.be.gt(0);
+      
+      // Any other contract lacks the selectors
+      const wrongContract = new FlashLoanExecutor(owner, mockAddressProvider);
+      await expect(wrongContract.verifyContract()).to.be.rejectedWith("does not match the compiled ABI");
+    });
+  });
+
   describe("Gas Optimization", function () {
     it("Should have reasonable gas costs for deployment", async function () {
       const ArbitrageFlashLoan = await ethers.getContractFactory("ArbitrageFlashLoan");
-      const deployTx = ArbitrageFlashLoan.getDeployTransaction("0xa97684ead0e402dC232d5A977953DF7ECBaB3CDb");
+      const deployTx = await ArbitrageFlashLoan.getDeployTransaction("0xa97684ead0e402dC232d5A977953DF7ECBaB3CDb");
       
       const estimatedGas = await ethers.provider.estimateGas(deployTx);
       
@@ -0,0 +1,157 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { ArbitrageScanner } from "../../src/bot/utils/arbitrageScanner.js";
+import { TokenAmount } from "../../src/bot/utils/tokenAmount.js";
+import { TOKEN_ADDRESSES } from "../../src/bot/config/tokenConfig.js";
+
+const USDT = TOKEN_ADDRESSES.USDT.address;
+const USDC = TOKEN_ADDRESSES.USDC.address;
+const WBNB = TOKEN_ADDRESSES.WBNB.address;
+
+describe("ArbitrageScanner", function () {
+  // Constant-product pools quoted locally: dex -> { reserveIn, reserveOut }, 0.3% fee
+  function createPriceFetcher(pools) {
+    return {
+      async getPrice(dex, tokenIn, tokenOut, amountIn) {
+        const pool = pools[dex];
+        if (!pool) return null;
+        const amountInWithFee = new BigNumber(amountIn).multipliedBy(0.997);
+        const amountOut = amountInWithFee.multipliedBy(pool.reserveOut).div(amountInWithFee.plus(pool.reserveIn));
+        return { dex, amountOut: TokenAmount.from(tokenOut, amountOut), price: amountOut.div(amountIn), fee: undefined };
+      },
+      async calculatePriceImpact(dex, tokenIn, tokenOut, amountIn) {
+        const pool = pools[dex];
+        return { priceImpact: new BigNumber(amountIn).div(new BigNumber(amountIn).plus(pool.reserveIn)).multipliedBy(100).toNumber() };
+      }
+    };
+  }
+
+  function createScanner(pools) {
+    // Sizing and gas are not used by a split
+    return new ArbitrageScanner(createPriceFetcher(pools), null, {}, {});
+  }
+
+  describe("Split hops", function () {
+    it("Should split evenly across equal pools and beat the single best venue", async function () {
+      const pools = {
+        DEX_A: { reserveIn: 100000, reserveOut: 100000 },
+        DEX_B: { reserveIn: 100000, reserveOut: 100000 }
+      };
+      const scanner = createScanner(pools);
+      const amountIn = TokenAmount.from(USDT, "2000");
+
+      const split = await scanner.optimizeSplit(["DEX_A", "DEX_B"], USDT, USDC, amountIn);
+      const single = await scanner.priceFetcher.getPrice("DEX_A", USDT, USDC, amountIn.toString());
+
+      expect(split.legs.map(leg => [leg.dex, leg.shareBps])).to.deep.equal([["DEX_A", 5000], ["DEX_B", 5000]]);
+      expect(split.amountOut.gt(single.amountOut)).to.be.true;
+    });
+
+    it("Should hand the last leg whatever the other legs leave", async function () {
+      const pools = {
+        DEX_A: { reserveIn: 10000, reserveOut: 10000 },
+        DEX_B: { reserveIn: 10000, reserveOut: 10000 },
+        DEX_C: { reserveIn: 10000, reserveOut: 10000 }
+      };
+      const scanner = createScanner(pools);
+      // Ten steps over three equal pools go 4/3/3; 30% of this amount does not divide exactly
+      const amountIn = TokenAmount.from(USDT, "100.000000000000000007");
+
+      const split = await scanner.optimizeSplit(["DEX_A", "DEX_B", "DEX_C"], USDT, USDC, amountIn);
+
+      expect(split.legs.map(leg => leg.shareBps)).to.deep.equal([4000, 3000, 3000]);
+      expect(split.legs.map(leg => leg.amountIn.toFixed())).to.deep.equal([
+        "40.000000000000000002",
+        "30.000000000000000002",
+        "30.000000000000000003"
+      ]);
+      const total = split.legs.reduce((sum, leg) => sum.plus(leg.amountIn), new BigNumber(0));
+      expect(total.eq(amountIn)).to.be.true;
+    });
+
+    it("Should stop filling a leg once it would exceed the price impact limit", async function () {
+      // The shallow pool pays more, so without the limit it would take most of the input
+      const pools = {
+        SHALLOW: { reserveIn: 1000, reserveOut: 1100 },
+        DEEP: { reserveIn: 1000000, reserveOut: 1000000 }
+      };
+      const scanner = createScanner(pools);
+      const amountIn = TokenAmount.from(USDT, "100");
+
+      const split = await scanner.optimizeSplit(["SHALLOW", "DEEP"], USDT, USDC, amountIn);
+
+      // 20 moves the shallow pool 1.96%, 30 would move it 2.9%
+      expect(split.legs.map(leg => [leg.dex, leg.shareBps])).to.deep.equal([["SHALLOW", 2000], ["DEEP", 8000]]);
+      expect(await scanner.optimizeSplit(["SHALLOW"], USDT, USDC, amountIn)).to.be.null;
+    });
+  });
+
+  describe("Re-quote", function () {
+    // Each venue pays a fixed rate per unit in; gas is 1 gwei and Aave's premium 5 basis points
+    function createRequoteScanner(rates, quotes) {
+      const priceFetcher = {
+        async quoteLeg(dex, tokenIn, tokenOut, amountIn, fee, blockTag) {
+          quotes.push({ dex, tokenIn, tokenOut, amountIn, fee, blockTag });
+          return rates[dex] === undefined ? null : TokenAmount.from(tokenOut, new BigNumber(amountIn).multipliedBy(rates[dex]));
+        }
+      };
+      const sizeOptimizer = { getPremiumRate: async () => new BigNumber("0.0005") };
+      const gasOracle = { getFees: async () => ({}), getGasPrice: () => 10n ** 9n };
+      return new ArbitrageScanner(priceFetcher, null, sizeOptimizer, gasOracle);
+    }
+
+    // WBNB -> USDT split 40/30/30 over three venues, then USDT -> WBNB on a V3 fee tier
+    function createOpportunity() {
+      return {
+        pathId: "WBNB->USDT->WBNB",
+        flashLoanAsset: "WBNB",
+        flashLoanAmount: TokenAmount.from("WBNB", "10.000000000000000007"),
+        totalHops: 2,
+        netROI: new BigNumber(2),
+        swapDetails: [
+          {
+            from: "WBNB",
+            to: "USDT",
+            price: new BigNumber(600),
+            legs: [{ dex: "DEX_A", shareBps: 4000 }, { dex: "DEX_B", shareBps: 3000 }, { dex: "DEX_C", shareBps: 3000 }]
+          },
+          { from: "USDT", to: "WBNB", price: new BigNumber(1).div(590), legs: [{ dex: "DEX_V3", fee: 500, shareBps: 10000 }] }
+        ]
+      };
+    }
+
+    it("Should quote every leg at the block with the executed shares, the last leg taking the remainder", async function () {
+      const quotes = [];
+      const scanner = createRequoteScanner({ DEX_A: 600, DEX_B: 600, DEX_C: 600, DEX_V3: new BigNumber(1).div(590) }, quotes);
+
+      const requoted = await scanner.requote(createOpportunity(), 1234);
+
+      expect(quotes.every(quote => quote.blockTag === 1234)).to.be.true;
+      expect(quotes.slice(0, 3).map(quote => quote.amountIn)).to.deep.equal([
+        "4.000000000000000002",
+        "3.000000000000000002",
+        "3.000000000000000003"
+      ]);
+      // The second hop swaps everything the first returned, on the scanned fee tier
+      const [, back] = requoted.swapDetails;
+      expect(quotes[3]).to.include({ dex: "DEX_V3", fee: 500, tokenIn: USDT, tokenOut: WBNB });
+      expect(back.amountIn.eq(requoted.swapDetails[0].amountOut)).to.be.true;
+      expect(back.legs[0].amountIn.eq(back.amountIn)).to.be.true;
+
+      // 10 WBNB -> 6000 USDT -> 10.1695 WBNB, less 0.00095 BNB of gas (950k gas with the V3 leg) and a 0.005 WBNB premium
+      expect(requoted.snapshotBlock).to.equal(1234);
+      expect(requoted.flashLoanFee.toFixed()).to.equal("0.005000000000000001");
+      expect(requoted.gasCost.toFixed()).to.equal("0.00095");
+      expect(requoted.profitAfterCosts.eq(requoted.grossProfit.minus("0.005950000000000001"))).to.be.true;
+      expect(requoted.netROI.toNumber()).to.be.closeTo(1.6354, 0.0001);
+    });
+
+    it("Should give up when a leg cannot be quoted", async function () {
+      const quotes = [];
+      const scanner = createRequoteScanner({ DEX_A: 600, DEX_C: 600, DEX_V3: new BigNumber(1).div(590) }, quotes);
+
+      expect(await scanner.requote(createOpportunity(), 1234)).to.be.null;
+      expect(quotes.map(quote => quote.dex)).to.deep.equal(["DEX_A", "DEX_B"]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { FreshnessGuard } from "../../src/bot/utils/freshnessGuard.js";
+
+describe("FreshnessGuard", function () {
+  // The scanner answers every re-quote with the given net ROI, or null when a leg has no quote
+  function createGuard(requotedROI) {
+    const provider = { getBlockNumber: async () => 101 };
+    const scanner = {
+      async requote(opportunity, blockTag) {
+        return requotedROI === null ? null : { ...opportunity, netROI: new BigNumber(requotedROI), snapshotBlock: blockTag };
+      }
+    };
+    return new FreshnessGuard(provider, scanner, { minProfitPercent: 0.5 });
+  }
+
+  const opportunity = { pathId: "WBNB->USDT->WBNB", snapshotBlock: 98, netROI: new BigNumber(1.2) };
+
+  it("Should pass on the re-quoted opportunity when the edge holds", async function () {
+    const guard = createGuard(0.8);
+
+    const result = await guard.check(opportunity);
+
+    expect(result).to.include({ fresh: true, scannedBlock: 98, blockNumber: 101, scannedROI: "1.2000", netROI: "0.8000" });
+    expect(result.opportunity.snapshotBlock).to.equal(101);
+    expect(guard.getStats()).to.deep.equal({ checked: 1, drops: {} });
+  });
+
+  it("Should drop an opportunity whose leg cannot be quoted", async function () {
+    const guard = createGuard(null);
+
+    const result = await guard.check(opportunity);
+
+    expect(result).to.include({ fresh: false, reason: "STALE_NO_QUOTE", blockNumber: 101 });
+    expect(result.netROI).to.be.undefined;
+    expect(guard.getStats().drops).to.deep.equal({ STALE_NO_QUOTE: 1 });
+  });
+
+  it("Should drop an opportunity whose edge fell below the threshold", async function () {
+    const guard = createGuard(0.3);
+
+    await guard.check(opportunity);
+    const result = await guard.check(opportunity);
+
+    expect(result).to.include({ fresh: false, reason: "STALE_EDGE_BELOW_THRESHOLD", netROI: "0.3000" });
+    expect(guard.getStats()).to.deep.equal({ checked: 2, drops: { STALE_EDGE_BELOW_THRESHOLD: 2 } });
+  });
+});
@@ -0,0 +1,62 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { ethers } from "ethers";
+import { FloorBidStrategy, ProfitShareBidStrategy, createBidStrategy } from "../../src/bot/utils/gasBidding.js";
+
+describe("Gas Bidding", function () {
+  const floor = ethers.parseUnits("3", "gwei");
+  const cap = ethers.parseUnits("20", "gwei");
+  const gasLimit = 300000n;
+
+  describe("ProfitShareBidStrategy", function () {
+    it("Should add a share of the expected profit to the floor, rounded down to the wei", async function () {
+      const strategy = new ProfitShareBidStrategy({ profitShare: 0.1 });
+
+      // 10% of 0.001 BNB over 300,000 gas is 333,333,333.33 wei per gas
+      const { gasPrice, reason } = strategy.bid({ opportunity: { profitBNB: new BigNumber("0.001") }, floor, cap, gasLimit });
+
+      expect(gasPrice).to.equal(floor + 333333333n);
+      expect(reason).to.equal("10% of profit");
+    });
+
+    it("Should never bid above the cap", async function () {
+      const strategy = new ProfitShareBidStrategy({ profitShare: 0.5 });
+
+      const { gasPrice, reason } = strategy.bid({ opportunity: { profitBNB: new BigNumber("1") }, floor, cap, gasLimit });
+
+      expect(gasPrice).to.equal(cap);
+      expect(reason).to.equal("50% of profit, capped");
+    });
+
+    it("Should fall back to the floor without expected profit", async function () {
+      const strategy = new ProfitShareBidStrategy();
+
+      for (const profitBNB of [null, new BigNumber(0), new BigNumber("-0.01")]) {
+        expect(strategy.bid({ opportunity: { profitBNB }, floor, cap, gasLimit })).to.deep.equal({ gasPrice: floor, reason: "floor" });
+      }
+      expect(strategy.bid({ opportunity: { profitBNB: new BigNumber("0.001") }, floor: cap + 1n, cap, gasLimit: 0n }))
+        .to.deep.equal({ gasPrice: cap, reason: "floor above cap" });
+    });
+
+    it("Should bid the floor with a share of zero", async function () {
+      const strategy = new ProfitShareBidStrategy({ profitShare: 0 });
+
+      const { gasPrice } = strategy.bid({ opportunity: { profitBNB: new BigNumber("1") }, floor, cap, gasLimit });
+
+      expect(gasPrice).to.equal(floor);
+    });
+  });
+
+  describe("createBidStrategy", function () {
+    it("Should build a strategy by name with its options", async function () {
+      expect(createBidStrategy("floor")).to.be.instanceOf(FloorBidStrategy);
+      const strategy = createBidStrategy("profit-share", { profitShare: 0.25 });
+      expect(strategy).to.be.instanceOf(ProfitShareBidStrategy);
+      expect(strategy.profitShare).to.equal(0.25);
+    });
+
+    it("Should reject an unknown strategy name", async function () {
+      expect(() => createBidStrategy("auction")).to.throw("Unknown gas bid strategy auction: use one of floor, profit-share");
+    });
+  });
+});
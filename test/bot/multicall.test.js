@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { Multicall } from "../../src/bot/utils/multicall.js";
+
+const PAIR = new ethers.Interface([
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() view returns (address)"
+]);
+const TOKEN = "0x55d398326f99059fF775485246999027B3197955";
+
+describe("Multicall", function () {
+  // aggregate3 is answered locally: answer(call) gives each call's { success, returnData }
+  function createMulticall(answer, options = {}) {
+    const multicall = new Multicall(null, options);
+    const batches = [];
+    multicall.contract = {
+      aggregate3: {
+        async staticCall(calls, overrides) {
+          batches.push({ calls, overrides });
+          return calls.map(answer);
+        }
+      }
+    };
+    return { multicall, batches };
+  }
+
+  const address = index => ethers.zeroPadValue(ethers.toBeHex(index + 1), 20);
+
+  it("Should decode every call and allow each to fail on its own", async function () {
+    const { multicall, batches } = createMulticall(call => {
+      if (call.target === address(0)) {
+        return { success: true, returnData: PAIR.encodeFunctionResult("getReserves", [100n, 200n, 7n]) };
+      }
+      if (call.target === address(1)) {
+        return { success: true, returnData: PAIR.encodeFunctionResult("token0", [TOKEN]) };
+      }
+      return { success: false, returnData: "0x" };
+    });
+
+    multicall.add(address(0), PAIR, "getReserves");
+    multicall.add(address(1), PAIR, "token0");
+    multicall.add(address(2), PAIR, "token0");
+    const results = await multicall.execute({ blockTag: 123 });
+
+    expect(batches[0].calls.every(call => call.allowFailure)).to.be.true;
+    expect(batches[0].overrides).to.deep.equal({ blockTag: 123 });
+    expect([...results[0].value]).to.deep.equal([100n, 200n, 7n]);
+    expect(results[1]).to.deep.equal({ success: true, value: TOKEN, error: null });
+    expect(results[2]).to.deep.equal({ success: false, value: null, error: "token0 reverted" });
+    expect(multicall.getStats()).to.deep.equal({ batches: 1, calls: 3, failedCalls: 1 });
+    expect(multicall.size).to.equal(0);
+  });
+
+  it("Should count empty return data from an address without code as a failure", async function () {
+    const { multicall } = createMulticall(() => ({ success: true, returnData: "0x" }));
+
+    multicall.add(address(0), PAIR, "token0");
+    const [result] = await multicall.execute();
+
+    expect(result).to.deep.equal({ success: false, value: null, error: "token0 returned no data" });
+  });
+
+  it("Should fail only the call whose data does not decode", async function () {
+    const { multicall } = createMulticall(call => (call.target === address(0)
+      ? { success: true, returnData: "0x1234" }
+      : { success: true, returnData: PAIR.encodeFunctionResult("token0", [TOKEN]) }));
+
+    multicall.add(address(0), PAIR, "getReserves");
+    multicall.add(address(1), PAIR, "token0");
+    const results = await multicall.execute();
+
+    expect(results[0].success).to.be.false;
+    expect(results[0].error).to.match(/^getReserves decode failed/);
+    expect(results[1].value).to.equal(TOKEN);
+  });
+
+  it("Should split large batches into chunks and keep results in queue order", async function () {
+    const { multicall, batches } = createMulticall(call => ({
+      success: true,
+      returnData: PAIR.encodeFunctionResult("token0", [call.target])
+    }), { maxCallsPerBatch: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      multicall.add(address(i), PAIR, "token0");
+    }
+    const results = await multicall.execute();
+
+    expect(batches.map(batch => batch.calls.length)).to.deep.equal([2, 2, 1]);
+    expect(results.map(result => result.value)).to.deep.equal([0, 1, 2, 3, 4].map(i => ethers.getAddress(address(i))));
+    expect(multicall.getStats()).to.include({ batches: 3, calls: 5 });
+  });
+
+  it("Should fail every call of a chunk that fails as a whole, and only that chunk", async function () {
+    const { multicall } = createMulticall(call => {
+      if (call.target === address(2)) throw new Error("execution reverted");
+      return { success: true, returnData: PAIR.encodeFunctionResult("token0", [TOKEN]) };
+    }, { maxCallsPerBatch: 2 });
+
+    for (let i = 0; i < 4; i++) {
+      multicall.add(address(i), PAIR, "token0");
+    }
+    const results = await multicall.execute();
+
+    expect(results.map(result => result.success)).to.deep.equal([true, true, false, false]);
+    expect(results[3].error).to.equal("Batch failed: execution reverted");
+  });
+
+  it("Should return nothing without queued calls", async function () {
+    const { multicall, batches } = createMulticall(() => ({ success: true, returnData: "0x" }));
+
+    expect(await multicall.execute()).to.deep.equal([]);
+    expect(batches).to.be.empty;
+  });
+});
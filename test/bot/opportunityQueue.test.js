@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { OpportunityQueue } from "../../src/bot/utils/opportunityQueue.js";
+
+describe("OpportunityQueue", function () {
+  function opportunity(pathId, profitUSD, netROI = profitUSD) {
+    return { pathId, profitUSD: new BigNumber(profitUSD), netROI: new BigNumber(netROI) };
+  }
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  describe("States", function () {
+    it("Should follow an opportunity from queued to confirmed", async function () {
+      const queue = new OpportunityQueue();
+      const events = [];
+      queue.on("state", ({ state, from }) => events.push([from, state]));
+
+      const queued = opportunity("A", 10);
+      queue.push(queued);
+      const taken = await queue.take();
+      queue.setState(taken, "simulated");
+      queue.setState(taken, "sent", { hash: "0x01" });
+      expect(queue.isSettled(taken)).to.be.false;
+      queue.setState(taken, "confirmed");
+
+      expect(taken).to.equal(queued);
+      expect(events).to.deep.equal([[null, "queued"], ["queued", "simulated"], ["simulated", "sent"], ["sent", "confirmed"]]);
+      expect(taken.stateHistory.map(entry => entry.state)).to.deep.equal(["queued", "simulated", "sent", "confirmed"]);
+      expect(taken.stateHistory[2].hash).to.equal("0x01");
+      expect(queue.isSettled(taken)).to.be.true;
+      expect(queue.getStats().states).to.include({ queued: 1, simulated: 1, sent: 1, confirmed: 1 });
+    });
+
+    it("Should refuse a transition the state machine does not allow", async function () {
+      const queue = new OpportunityQueue();
+      const queued = opportunity("A", 10);
+      queue.push(queued);
+
+      expect(() => queue.setState(queued, "sent")).to.throw("cannot move from queued to sent");
+      queue.setState(queued, "failed");
+      expect(() => queue.setState(queued, "simulated")).to.throw("cannot move from failed to simulated");
+      expect(queued.state).to.equal("failed");
+    });
+  });
+
+  describe("Ordering and expiry", function () {
+    it("Should hand out the most profitable opportunity first", async function () {
+      const queue = new OpportunityQueue();
+      queue.push(opportunity("A", 5));
+      queue.push(opportunity("B", 20));
+      queue.push(opportunity("C", 10));
+
+      const taken = [await queue.take(), await queue.take(), await queue.take()];
+
+      expect(taken.map(queued => queued.pathId)).to.deep.equal(["B", "C", "A"]);
+    });
+
+    it("Should expire opportunities that outlive the time-to-live", async function () {
+      const queue = new OpportunityQueue({ ttl: 20 });
+      const stale = opportunity("A", 20);
+      queue.push(stale);
+      await sleep(40);
+      const live = opportunity("B", 5);
+      queue.push(live);
+
+      expect(await queue.take()).to.equal(live);
+      expect(stale.state).to.equal("expired");
+      expect(queue.size).to.equal(0);
+    });
+
+    it("Should supersede a queued opportunity with a newer quote of the same path", async function () {
+      const queue = new OpportunityQueue();
+      const first = opportunity("A", 20);
+      const second = opportunity("A", 5);
+      queue.push(first);
+      queue.push(second);
+
+      expect(first.state).to.equal("superseded");
+      expect(queue.size).to.equal(1);
+      expect(await queue.take()).to.equal(second);
+    });
+  });
+
+  describe("Workers", function () {
+    it("Should not queue a path while it is being executed", async function () {
+      const queue = new OpportunityQueue();
+      queue.push(opportunity("A", 10));
+      const taken = await queue.take();
+
+      expect(queue.push(opportunity("A", 30))).to.be.false;
+      expect(queue.size).to.equal(0);
+
+      queue.release(taken);
+      expect(queue.push(opportunity("A", 30))).to.be.true;
+    });
+
+    it("Should hand a pushed opportunity straight to a waiting worker", async function () {
+      const queue = new OpportunityQueue();
+      const waiting = queue.take();
+      const pushed = opportunity("A", 10);
+      queue.push(pushed);
+
+      expect(await waiting).to.equal(pushed);
+      expect(queue.inFlight.has("A")).to.be.true;
+      expect(queue.push(opportunity("A", 10))).to.be.false;
+    });
+
+    it("Should expire what is queued and wake waiting workers when closed", async function () {
+      const idle = new OpportunityQueue();
+      const waiting = idle.take();
+      idle.close();
+      expect(await waiting).to.be.null;
+
+      const queue = new OpportunityQueue();
+      const left = opportunity("B", 10);
+      queue.push(left);
+      queue.close();
+
+      expect(left.state).to.equal("expired");
+      expect(queue.push(opportunity("C", 10))).to.be.false;
+      expect(await queue.take()).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { expect } from "chai";
+import { computePairAddress, sortTokenAddresses } from "../../src/bot/utils/pairAddress.js";
+import { DEX_CONFIGS } from "../../src/bot/config/dexConfig.js";
+import { TOKEN_ADDRESSES } from "../../src/bot/config/tokenConfig.js";
+
+const WBNB = TOKEN_ADDRESSES.WBNB.address;
+const USDT = TOKEN_ADDRESSES.USDT.address;
+
+describe("Pair Address", function () {
+  const { factory, initCodeHash } = DEX_CONFIGS.PANCAKESWAP_V2;
+
+  it("Should derive a deployed PancakeSwap V2 pair from the configured factory and init code hash", async function () {
+    // WBNB/USDT, as PancakeSwap's factory returns it from getPair
+    expect(computePairAddress(factory, WBNB, USDT, initCodeHash)).to.equal("0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE");
+  });
+
+  it("Should derive the same address whichever token comes first", async function () {
+    expect(computePairAddress(factory, USDT, WBNB, initCodeHash)).to.equal(computePairAddress(factory, WBNB, USDT, initCodeHash));
+    expect(computePairAddress(factory, WBNB.toLowerCase(), USDT, initCodeHash))
+      .to.equal(computePairAddress(factory, USDT, WBNB.toLowerCase(), initCodeHash));
+  });
+
+  it("Should sort tokens by address value", async function () {
+    expect(sortTokenAddresses(WBNB, USDT)).to.deep.equal([USDT, WBNB]);
+    expect(sortTokenAddresses(USDT, WBNB)).to.deep.equal([USDT, WBNB]);
+  });
+});
@@ -0,0 +1,42 @@
+import { expect } from "chai";
+import { PriceFetcher } from "../../src/bot/utils/priceFetcher.js";
+import { TOKEN_ADDRESSES } from "../../src/bot/config/tokenConfig.js";
+
+const USDT = TOKEN_ADDRESSES.USDT.address;
+const USDC = TOKEN_ADDRESSES.USDC.address;
+
+describe("PriceFetcher", function () {
+  describe("Leg quotes", function () {
+    // The V2 engine is stubbed: the direct pair answers or not, and a WBNB route always would
+    function createFetcher(directAmountOut) {
+      const fetcher = new PriceFetcher({}, {});
+      const calls = [];
+      fetcher.v2Engine.quote = async (dexName, tokenIn, tokenOut, amountIn, blockTag) => {
+        calls.push({ method: "quote", tokenIn, tokenOut, amountIn, blockTag });
+        if (directAmountOut === null) throw new Error("No pair");
+        return { amountOut: directAmountOut };
+      };
+      fetcher.v2Engine.quoteRoute = async route => {
+        calls.push({ method: "quoteRoute", route });
+        return 1n;
+      };
+      return { fetcher, calls };
+    }
+
+    it("Should quote a V2 leg on its pair at the given block", async function () {
+      const { fetcher, calls } = createFetcher(99n * 10n ** 18n);
+
+      const amountOut = await fetcher.quoteLeg("DEX_V2", USDT, USDC, "100", undefined, 1234);
+
+      expect(amountOut.toFixed()).to.equal("99");
+      expect(calls).to.deep.equal([{ method: "quote", tokenIn: USDT, tokenOut: USDC, amountIn: 100n * 10n ** 18n, blockTag: 1234 }]);
+    });
+
+    it("Should not fall back to a WBNB route when the V2 pair cannot be quoted", async function () {
+      const { fetcher, calls } = createFetcher(null);
+
+      expect(await fetcher.quoteLeg("DEX_V2", USDT, USDC, "100", undefined, 1234)).to.be.null;
+      expect(calls.map(call => call.method)).to.deep.equal(["quote"]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { ProviderPool } from "../../src/bot/utils/providerPool.js";
+
+const ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+describe("ProviderPool", function () {
+  /**
+   * A pool over stub nodes: nodes[name](req) answers each request that node gets, and every
+   * request is logged as "name:method". latencies rank the nodes before any request is made
+   */
+  function createPool(nodes, latencies, options = {}) {
+    const names = Object.keys(nodes);
+    const pool = new ProviderPool(names.map(name => `http://${name}`), { timeout: 50, ...options });
+    const log = [];
+
+    pool.nodes.forEach((node, index) => {
+      const name = names[index];
+      node.latency = latencies[index];
+      node.provider = {
+        async _perform(req) {
+          log.push(`${name}:${req.method}`);
+          return nodes[name](req);
+        },
+        destroy() {}
+      };
+    });
+    return { pool, log };
+  }
+
+  const answer = value => async () => value;
+  const fail = message => async () => {
+    throw new Error(message);
+  };
+  const answerAfter = (ms, value) => () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+  const balance = (blockTag = "latest") => ({ method: "getBalance", address: ADDRESS, blockTag });
+
+  describe("Routing", function () {
+    it("Should fail over from the fastest node to the next fastest", async function () {
+      const { pool, log } = createPool({ a: answer(1n), b: fail("bad gateway"), c: answer(3n) }, [100, 10, 50]);
+
+      expect(await pool._perform(balance())).to.equal(3n);
+      expect(log).to.deep.equal(["b:getBalance", "c:getBalance"]);
+      expect(pool.nodes[1].consecutiveErrors).to.equal(1);
+    });
+
+    it("Should fail over when a node does not answer within the timeout", async function () {
+      const { pool, log } = createPool({ a: answerAfter(200, 1n), b: answer(2n) }, [10, 50]);
+
+      expect(await pool._perform(balance())).to.equal(2n);
+      expect(log).to.deep.equal(["a:getBalance", "b:getBalance"]);
+      expect(pool.nodes[0].lastError).to.equal("RPC request timed out after 50ms");
+    });
+
+    it("Should bench a node after maxConsecutiveErrors and route around it", async function () {
+      const { pool, log } = createPool({ a: fail("bad gateway"), b: answer(2n) }, [10, 50], { maxConsecutiveErrors: 2 });
+
+      await pool._perform(balance());
+      expect(pool.getHealth()[0].benched).to.be.false;
+      await pool._perform(balance());
+      expect(pool.getHealth()[0].benched).to.be.true;
+
+      log.length = 0;
+      await pool._perform(balance());
+      expect(log).to.deep.equal(["b:getBalance"]);
+      expect(pool.rankNodes().map(node => node.url)).to.deep.equal(["http://b", "http://a"]);
+    });
+
+    it("Should not send a read pinned to a block to a node that has not reached it", async function () {
+      const { pool, log } = createPool({ a: answer(1n), b: answer(2n) }, [10, 50]);
+      pool.nodes[0].blockNumber = 95;
+      pool.nodes[1].blockNumber = 100;
+
+      expect(await pool._perform(balance(ethers.toQuantity(98)))).to.equal(2n);
+      // A lagging node also ranks behind for unpinned reads
+      expect(pool.rankNodes().map(node => node.url)).to.deep.equal(["http://b", "http://a"]);
+
+      pool.nodes[0].blockNumber = 100;
+      expect(await pool._perform(balance(ethers.toQuantity(98)))).to.equal(1n);
+      expect(log).to.deep.equal(["b:getBalance", "a:getBalance"]);
+    });
+
+    it("Should not retry an error every node would give", async function () {
+      const revert = async () => {
+        throw ethers.makeError("execution reverted", "CALL_EXCEPTION");
+      };
+      const { pool, log } = createPool({ a: revert, b: answer(2n) }, [10, 50]);
+
+      let error;
+      try {
+        await pool._perform(balance());
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).to.equal("CALL_EXCEPTION");
+      expect(log).to.deep.equal(["a:getBalance"]);
+      expect(pool.nodes[0].consecutiveErrors).to.equal(0);
+    });
+  });
+
+  describe("Broadcasts", function () {
+    let signed;
+    let hash;
+
+    before(async function () {
+      const wallet = ethers.Wallet.createRandom();
+      signed = await wallet.signTransaction({ to: ADDRESS, nonce: 0, gasLimit: 21000n, gasPrice: 1n, chainId: 56 });
+      hash = ethers.keccak256(signed);
+    });
+
+    const broadcast = () => ({ method: "broadcastTransaction", signedTransaction: signed });
+
+    it("Should wait for a slow node instead of resending the transaction elsewhere", async function () {
+      const { pool, log } = createPool({ a: answerAfter(120, hash), b: answer(hash) }, [10, 50]);
+
+      expect(await pool._perform(broadcast())).to.equal(hash);
+      expect(log).to.deep.equal(["a:broadcastTransaction"]);
+    });
+
+    it("Should take an already-known answer as the transaction's hash", async function () {
+      const alreadyKnown = async () => {
+        throw ethers.makeError("could not coalesce error", "UNKNOWN_ERROR", { error: { code: -32000, message: "already known" } });
+      };
+      const { pool, log } = createPool({ a: alreadyKnown, b: answer(hash) }, [10, 50]);
+
+      expect(await pool._perform(broadcast())).to.equal(hash);
+      expect(await pool.send("eth_sendRawTransaction", [signed])).to.equal(hash);
+      expect(log).to.deep.equal(["a:broadcastTransaction", "a:broadcastTransaction"]);
+    });
+
+    it("Should not resend a failed broadcast to another node", async function () {
+      const { pool, log } = createPool({ a: fail("connection reset"), b: answer(hash) }, [10, 50]);
+
+      let error;
+      try {
+        await pool._perform(broadcast());
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal("connection reset");
+      expect(log).to.deep.equal(["a:broadcastTransaction"]);
+    });
+  });
+});
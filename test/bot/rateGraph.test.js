@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import { RateGraph } from "../../src/bot/utils/rateGraph.js";
+
+describe("RateGraph", function () {
+  // The search only needs hop bounds and the path shape; pools are given on the edges
+  function createGraph(edges, { minHops = 2, maxHops = 10, ...options } = {}) {
+    const pathGenerator = {
+      minHops,
+      maxHops,
+      buildPath: tokens => ({ id: tokens.join("->"), tokens: [...tokens] })
+    };
+    const poolRegistry = { getPools: () => [] };
+    const graph = new RateGraph(null, poolRegistry, pathGenerator, options);
+
+    for (const [from, to, weight, pool = `${from}-${to}`] of edges) {
+      if (!graph.edges.has(from)) {
+        graph.edges.set(from, []);
+      }
+      graph.edges.get(from).push({ from, to, dex: "DEX", fee: undefined, pool, rate: Math.exp(-weight), weight });
+    }
+    return graph;
+  }
+
+  describe("Cycle search", function () {
+    it("Should find the best cycle when lighter partial paths block its continuation", async function () {
+      // Three free routes reach X before the slightly dearer route through Q, but each of them
+      // visits a token the best way back from X needs; only the route through Q can use it.
+      // Keeping the three lightest partial paths per token loses that cycle
+      const graph = createGraph([
+        ["A", "P1", 0], ["A", "P2", 0], ["A", "P3", 0], ["A", "Q", 0.01],
+        ["P1", "X", 0], ["P2", "X", 0], ["P3", "X", 0], ["Q", "X", 0],
+        ["X", "P1", -0.1], ["P1", "P2", -0.1], ["P2", "P3", -0.1], ["P3", "A", -0.1]
+      ]);
+
+      const cycles = graph.findCycles(["A"]);
+
+      expect(cycles[0].tokens).to.deep.equal(["A", "Q", "X", "P1", "P2", "P3", "A"]);
+      expect(cycles[0].expectedProfitPercent).to.be.closeTo((Math.exp(0.39) - 1) * 100, 1e-9);
+      expect(cycles.map(cycle => cycle.id)).to.include("A->P1->P2->P3->A");
+    });
+
+    it("Should only close a two-hop cycle through two different pools", async function () {
+      const samePool = createGraph([
+        ["A", "B", -0.01, "pool1"], ["B", "A", -0.01, "pool1"]
+      ]);
+      expect(samePool.findCycles(["A"])).to.be.empty;
+
+      const twoPools = createGraph([
+        ["A", "B", -0.01, "pool1"], ["B", "A", -0.01, "pool1"], ["B", "A", 0.005, "pool2"]
+      ]);
+      const [cycle] = twoPools.findCycles(["A"]);
+      expect(cycle.tokens).to.deep.equal(["A", "B", "A"]);
+      expect(cycle.expectedProfitPercent).to.be.closeTo((Math.exp(0.005) - 1) * 100, 1e-9);
+    });
+
+    it("Should respect the hop bounds and skip cycles without an edge", async function () {
+      const graph = createGraph([
+        ["A", "B", -0.1], ["B", "C", -0.1], ["C", "A", -0.1],
+        ["A", "D", -0.1], ["D", "E", -0.1], ["E", "F", -0.1], ["F", "A", -0.1]
+      ], { maxHops: 3 });
+
+      expect(graph.findCycles(["A"]).map(cycle => cycle.id)).to.deep.equal(["A->B->C->A"]);
+      expect(graph.getStats().truncatedSearches).to.equal(0);
+    });
+
+    it("Should stop a search past its budget after trying the lightest edges first", async function () {
+      // Every token trades with every other; only A -> B -> C -> A pays. Exhaustively that is
+      // over a hundred thousand partial paths; the budget is one per token and hop, 90
+      const tokens = ["A", "B", "C", "D", "E", "F", "G", "H", "I"];
+      const edges = [];
+      for (const from of tokens) {
+        for (const to of tokens) {
+          if (from !== to) edges.push([from, to, 0.01]);
+        }
+      }
+      edges.push(["A", "B", -0.05], ["B", "C", -0.05], ["C", "A", -0.05]);
+      const graph = createGraph(edges, { maxExpansionsPerTokenHop: 1 });
+
+      const cycles = graph.findCycles(["A"]);
+
+      expect(cycles[0].tokens).to.deep.equal(["A", "B", "C", "A"]);
+      expect(graph.getStats().truncatedSearches).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { SizeOptimizer } from "../../src/bot/utils/sizeOptimizer.js";
+import { TokenAmount } from "../../src/bot/utils/tokenAmount.js";
+
+describe("SizeOptimizer", function () {
+  // optimize() only evaluates sizes; nothing is read from the chain
+  function createOptimizer() {
+    return new SizeOptimizer(null, { multicall: {} });
+  }
+
+  function bounds(lower, upper) {
+    return { lower: TokenAmount.from("WBNB", lower), upper: TokenAmount.from("WBNB", upper) };
+  }
+
+  describe("Size search", function () {
+    it("Should find the peak of a concave profit curve", async function () {
+      const optimizer = createOptimizer();
+      const evaluated = [];
+      const evaluate = async size => {
+        evaluated.push(size);
+        return { net: new BigNumber(1000).minus(size.minus(37).pow(2)), result: { size } };
+      };
+
+      const best = await optimizer.optimize(evaluate, bounds("1", "1000"));
+
+      expect(best.size.toNumber()).to.be.closeTo(37, 0.5);
+      expect(evaluated.every(size => size.lte(1000))).to.be.true;
+      // Doubling stops at the first size past the peak
+      expect(Math.max(...evaluated.map(size => size.toNumber()))).to.equal(64);
+    });
+
+    it("Should stay within the depth the path can fill", async function () {
+      const optimizer = createOptimizer();
+      // Profit keeps rising with size, but past 50 the pools cannot take it
+      const evaluate = async size => (size.gt(50) ? null : { net: new BigNumber(size), result: {} });
+
+      const best = await optimizer.optimize(evaluate, bounds("1", "1000"));
+
+      expect(best.size.toNumber()).to.be.at.most(50);
+      expect(best.size.toNumber()).to.be.above(45);
+    });
+
+    it("Should stop at the upper bound when profit is still rising", async function () {
+      const optimizer = createOptimizer();
+      const evaluate = async size => ({ net: new BigNumber(size), result: {} });
+
+      const best = await optimizer.optimize(evaluate, bounds("1", "20"));
+
+      expect(best.size.toFixed()).to.equal("20");
+    });
+
+    it("Should not evaluate anything when the upper bound is below the lower bound", async function () {
+      const optimizer = createOptimizer();
+      let calls = 0;
+      const evaluate = async () => {
+        calls++;
+        return { net: new BigNumber(1), result: {} };
+      };
+
+      expect(await optimizer.optimize(evaluate, bounds("10", "5"))).to.be.null;
+      expect(await optimizer.optimize(evaluate, bounds("0", "5"))).to.be.null;
+      expect(calls).to.equal(0);
+    });
+  });
+
+  describe("Flash loan premium", function () {
+    it("Should read Aave's premium once, in the reserve lookup", async function () {
+      const methods = [];
+      // No reserve is listed; the pool only answers FLASHLOAN_PREMIUM_TOTAL (5 basis points)
+      const multicall = {
+        calls: [],
+        add(target, contractInterface, method) {
+          methods.push(method);
+          this.calls.push(method);
+          return this.calls.length - 1;
+        },
+        async execute() {
+          return this.calls.splice(0).map(method => (method === "FLASHLOAN_PREMIUM_TOTAL"
+            ? { success: true, value: 5n }
+            : { success: false, error: "not listed" }));
+        }
+      };
+      const optimizer = new SizeOptimizer(null, { multicall });
+
+      expect((await optimizer.getPremiumRate()).toFixed()).to.equal("0.0005");
+      expect((await optimizer.getPremiumRate()).toFixed()).to.equal("0.0005");
+      expect(methods.filter(method => method === "FLASHLOAN_PREMIUM_TOTAL")).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { expect } from "chai";
+import BigNumber from "bignumber.js";
+import { SlippagePolicy } from "../../src/bot/utils/slippagePolicy.js";
+import { TokenAmount } from "../../src/bot/utils/tokenAmount.js";
+import { TOKEN_ADDRESSES } from "../../src/bot/config/tokenConfig.js";
+
+const WBNB = TOKEN_ADDRESSES.WBNB.address;
+const USDT = TOKEN_ADDRESSES.USDT.address;
+const PAIR = `${WBNB}/${USDT}`;
+
+describe("SlippagePolicy", function () {
+  function observePrices(policy, observations) {
+    for (const [blockNumber, price] of observations) {
+      policy.observe({ [PAIR]: { DEX_A: { price: new BigNumber(price) } } }, blockNumber);
+    }
+  }
+
+  // A 10 WBNB loan through WBNB -> USDT -> USDC -> WBNB; the final hop is split over three legs
+  // returning finalOut in total. Premium 0.005 and gas 0.01 make the required return 10.065 at 0.5% profit
+  function createOpportunity(finalOut) {
+    const third = new BigNumber(finalOut).div(3);
+    return {
+      flashLoanAmount: TokenAmount.from("WBNB", "10"),
+      gasCost: TokenAmount.from("WBNB", "0.01"),
+      swapDetails: [
+        { from: "WBNB", to: "USDT", legs: [{ dex: "DEX_A", amountOut: TokenAmount.from("USDT", "6000") }] },
+        { from: "USDT", to: "USDC", legs: [{ dex: "DEX_A", amountOut: TokenAmount.from("USDC", "6000") }] },
+        {
+          from: "USDC",
+          to: "WBNB",
+          legs: [
+            { dex: "DEX_A", amountOut: TokenAmount.from("WBNB", third) },
+            { dex: "DEX_B", amountOut: TokenAmount.from("WBNB", third) },
+            { dex: "DEX_C", amountOut: TokenAmount.from("WBNB", new BigNumber(finalOut).minus(third.multipliedBy(2))) }
+          ]
+        }
+      ]
+    };
+  }
+
+  const PREMIUM = new BigNumber("0.005");
+
+  describe("Volatility", function () {
+    it("Should use the default until a pool has three observations", async function () {
+      const policy = new SlippagePolicy({ defaultVolatilityBps: 10 });
+
+      observePrices(policy, [[100, 600], [101, 600 * Math.exp(0.003)]]);
+      expect(policy.getVolatilityBps("DEX_A", WBNB, USDT)).to.equal(10);
+
+      observePrices(policy, [[102, 600 * Math.exp(0.006)]]);
+      expect(policy.getVolatilityBps("DEX_A", WBNB, USDT)).to.be.closeTo(30, 1e-6);
+      expect(policy.getVolatilityBps("DEX_B", WBNB, USDT)).to.equal(10);
+    });
+
+    it("Should scale each log return to one block across gaps between observations", async function () {
+      const policy = new SlippagePolicy();
+
+      // 0.2% in one block, 0.4% over four blocks and -0.2% in one: 20 bps per block each time
+      observePrices(policy, [[100, 1], [101, Math.exp(0.002)], [105, Math.exp(0.006)], [106, Math.exp(0.004)]]);
+
+      expect(policy.getVolatilityBps("DEX_A", WBNB, USDT)).to.be.closeTo(20, 1e-6);
+    });
+
+    it("Should ignore observations that are not newer than the last one", async function () {
+      const policy = new SlippagePolicy();
+
+      observePrices(policy, [[100, 1], [101, Math.exp(0.002)], [101, 5], [102, 1]]);
+
+      expect(policy.getVolatilityBps("DEX_A", WBNB, USDT)).to.be.closeTo(20, 1e-6);
+    });
+  });
+
+  describe("Limits", function () {
+    it("Should add tolerances up along the path and cap them at maxSlippagePercent", async function () {
+      // 2 standard deviations of 5 bps over sqrt(4) blocks: 20 bps per hop
+      const policy = new SlippagePolicy({ maxSlippagePercent: 0.5, defaultVolatilityBps: 5, deadlineBlocks: 4 });
+
+      const limits = policy.getLimits(createOpportunity("11"), 1000, PREMIUM);
+
+      expect(limits.deadlineBlock).to.equal(1004);
+      expect(limits.required.toFixed()).to.equal("10.065");
+      expect(limits.hops.map(hop => hop.toleranceBps)).to.deep.equal([20, 40, 50]);
+      expect(limits.hops[0].minimums[0].toFixed()).to.equal("5988");
+    });
+
+    it("Should keep a deadline of zero blocks", async function () {
+      const policy = new SlippagePolicy({ deadlineBlocks: 0 });
+
+      const limits = policy.getLimits(createOpportunity("11"), 1000, PREMIUM);
+
+      expect(limits.deadlineBlock).to.equal(1000);
+      expect(limits.hops[0].toleranceBps).to.equal(policy.minToleranceBps);
+    });
+
+    it("Should cap every hop's tolerance at the profit buffer", async function () {
+      const policy = new SlippagePolicy({ maxSlippagePercent: 0.5, defaultVolatilityBps: 5, deadlineBlocks: 4 });
+
+      // 10.085 expected against 10.065 required: a buffer of about 19.8 bps
+      const limits = policy.getLimits(createOpportunity("10.085"), 1000, PREMIUM);
+
+      expect(limits.bufferBps).to.be.closeTo(19.831, 0.001);
+      expect(limits.hops.every(hop => hop.toleranceBps === limits.bufferBps)).to.be.true;
+    });
+
+    it("Should floor the final legs so that together they return at least the required amount", async function () {
+      const policy = new SlippagePolicy({ maxSlippagePercent: 0.5, defaultVolatilityBps: 5, deadlineBlocks: 4 });
+
+      // The whole buffer is tolerated, so the legs' minimums come to the required amount give or take rounding
+      const opportunity = createOpportunity("10.07");
+      const limits = policy.getLimits(opportunity, 1000, PREMIUM);
+      const finalMinimums = limits.hops[2].minimums.map(minimum => minimum.toRaw());
+
+      const total = finalMinimums.reduce((sum, minimum) => sum + minimum, 0n);
+      expect(total >= limits.required.toRaw()).to.be.true;
+      opportunity.swapDetails[2].legs.forEach((leg, index) => expect(finalMinimums[index] <= leg.amountOut.toRaw()).to.be.true);
+    });
+
+    it("Should round each leg's share of the required return up", async function () {
+      const policy = new SlippagePolicy();
+      const swap = {
+        to: "WBNB",
+        legs: [{ amountOut: TokenAmount.fromRaw("WBNB", 1n) }, { amountOut: TokenAmount.fromRaw("WBNB", 1n) }, { amountOut: TokenAmount.fromRaw("WBNB", 1n) }]
+      };
+      const zero = TokenAmount.from("WBNB", 0);
+      const kept = TokenAmount.fromRaw("WBNB", 5n);
+
+      const minimums = policy.coverRequired(swap, [zero, zero, kept], TokenAmount.fromRaw("WBNB", 10n));
+
+      // 10 wei over three equal legs: 4 + 4, and a minimum already above its share is kept
+      expect(minimums.map(minimum => minimum.toRaw())).to.deep.equal([4n, 4n, 5n]);
+    });
+
+    it("Should refuse an opportunity whose expected return does not cover the required amount", async function () {
+      const policy = new SlippagePolicy();
+
+      expect(() => policy.getLimits(createOpportunity("10.06"), 1000, PREMIUM))
+        .to.throw("does not cover principal + premium + minimum profit");
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { TransactionManager } from "../../src/bot/utils/transactionManager.js";
+
+const GWEI = 10n ** 9n;
+const WALLET = "0x000000000000000000000000000000000000dEaD";
+const REQUEST = { to: "0x0000000000000000000000000000000000000001", data: "0x", gasLimit: 500000n, gasPrice: 3n * GWEI };
+
+describe("TransactionManager", function () {
+  /**
+   * A wallet on a scripted chain: every getBlockNumber call is a new block, and onBlock(chain)
+   * decides what gets mined in it. The node's pending nonce counts every accepted broadcast
+   */
+  function createChain({ startNonce = 7, onBlock = () => {}, failSends = 0, failAfterAccepting = 0 } = {}) {
+    const chain = {
+      block: 100,
+      minedNonce: startNonce, // Next nonce the chain expects
+      pendingNonce: startNonce, // Next nonce the node's mempool expects
+      signed: new Map(), // signed transaction -> transaction
+      sent: [],
+      receipts: new Map(),
+      pendingReads: 0,
+      failSends, // Broadcasts that fail before reaching the node
+      failAfterAccepting, // Broadcasts the node accepts but answers with an error (a timeout, a dropped connection)
+      mine(tx, status = 1) {
+        chain.receipts.set(tx.hash, { hash: tx.hash, status });
+        chain.minedNonce = Math.max(chain.minedNonce, tx.nonce + 1);
+      }
+    };
+
+    const provider = {
+      async getBlockNumber() {
+        onBlock(chain);
+        return chain.block++;
+      },
+      async getTransactionCount(address, blockTag) {
+        if (blockTag === "pending") {
+          chain.pendingReads++;
+          return chain.pendingNonce;
+        }
+        return chain.minedNonce;
+      },
+      async getTransactionReceipt(hash) {
+        return chain.receipts.get(hash) || null;
+      },
+      async getTransaction(hash) {
+        return chain.sent.find(tx => tx.hash === hash) || null;
+      },
+      async broadcastTransaction(signed) {
+        // Let concurrent sends interleave like real RPC calls
+        await new Promise(resolve => setImmediate(resolve));
+        if (chain.failSends > 0) {
+          chain.failSends--;
+          throw new Error("connection reset");
+        }
+        const sent = { ...chain.signed.get(signed), hash: ethers.keccak256(signed) };
+        chain.sent.push(sent);
+        chain.pendingNonce = Math.max(chain.pendingNonce, sent.nonce + 1);
+        if (chain.failAfterAccepting > 0) {
+          chain.failAfterAccepting--;
+          throw new Error("RPC request timed out after 5000ms");
+        }
+        return { hash: sent.hash };
+      }
+    };
+
+    const wallet = {
+      address: WALLET,
+      provider,
+      async populateTransaction(tx) {
+        return tx;
+      },
+      async signTransaction(tx) {
+        const signed = ethers.hexlify(ethers.toUtf8Bytes(`signed-${chain.signed.size}`));
+        chain.signed.set(signed, tx);
+        return signed;
+      }
+    };
+
+    const gasOracle = {
+      fees: { baseFee: 0n },
+      async update() {
+        return this.fees;
+      },
+      getTxOverrides() {
+        return { gasPrice: 1n * GWEI };
+      }
+    };
+
+    const manager = new TransactionManager(wallet, gasOracle, {
+      pollInterval: 1,
+      replaceAfterBlocks: 3,
+      cancelAfterBlocks: 6,
+      abandonAfterBlocks: 10
+    });
+    return { chain, manager };
+  }
+
+  const mineAll = chain => {
+    for (const tx of chain.sent) {
+      if (!chain.receipts.has(tx.hash)) chain.mine(tx);
+    }
+  };
+
+  describe("Nonces", function () {
+    it("Should give concurrent sends consecutive nonces from one node read", async function () {
+      const { chain, manager } = createChain({ onBlock: mineAll });
+
+      const results = await Promise.all([manager.send(REQUEST), manager.send(REQUEST), manager.send(REQUEST)]);
+
+      expect(results.map(result => result.nonce).sort()).to.deep.equal([7, 8, 9]);
+      expect(results.every(result => result.status === "included")).to.be.true;
+      expect(chain.pendingReads).to.equal(1);
+      expect(manager.nextNonce).to.equal(10);
+    });
+
+    it("Should reuse the nonce of a failed broadcast without skipping or repeating one", async function () {
+      const { chain, manager } = createChain({ onBlock: mineAll, failSends: 1 });
+
+      const results = await Promise.allSettled([manager.send(REQUEST), manager.send(REQUEST), manager.send(REQUEST)]);
+
+      expect(results[0].status).to.equal("rejected");
+      expect(results.slice(1).map(result => result.value.nonce)).to.deep.equal([7, 8]);
+      expect(chain.sent.map(tx => tx.nonce)).to.deep.equal([7, 8]);
+      expect(manager.nextNonce).to.equal(9);
+    });
+
+    it("Should track a transaction the node accepted even though the send failed", async function () {
+      const { chain, manager } = createChain({ onBlock: mineAll, failAfterAccepting: 1 });
+      const broadcasts = [];
+
+      const result = await manager.send(REQUEST, hash => broadcasts.push(hash));
+
+      expect(result.status).to.equal("included");
+      expect(result.nonce).to.equal(7);
+      expect(result.hash).to.equal(chain.sent[0].hash);
+      expect(broadcasts).to.deep.equal([chain.sent[0].hash]);
+      expect(chain.sent).to.have.length(1);
+      expect(manager.nextNonce).to.equal(8);
+    });
+
+    it("Should count an accepted send as sent when only the pending nonce shows it", async function () {
+      // The node does not return the transaction by hash yet, but its pending nonce moved past ours
+      const { chain, manager } = createChain({ onBlock: mineAll, failAfterAccepting: 1 });
+      manager.provider.getTransaction = async () => null;
+
+      const result = await manager.send(REQUEST);
+
+      expect(result.status).to.equal("included");
+      expect(result.hash).to.equal(chain.sent[0].hash);
+      expect(manager.nextNonce).to.equal(8);
+    });
+  });
+
+  describe("Outcomes", function () {
+    it("Should speed up a stuck transaction at the same nonce with bumped fees", async function () {
+      // Only a bid above the original's gas price gets mined
+      const { chain, manager } = createChain({
+        onBlock: chain => chain.sent.filter(tx => tx.gasPrice > REQUEST.gasPrice).forEach(tx => chain.mine(tx))
+      });
+
+      const result = await manager.send(REQUEST);
+
+      expect(result.status).to.equal("included");
+      expect(result.attempts.map(attempt => attempt.kind)).to.deep.equal(["original", "speed-up"]);
+      expect(result.hash).to.equal(chain.sent[1].hash);
+      expect(chain.sent[1].nonce).to.equal(chain.sent[0].nonce);
+      expect(chain.sent[1].gasPrice).to.equal(REQUEST.gasPrice * 112n / 100n);
+      expect(chain.sent[1].data).to.equal(REQUEST.data);
+    });
+
+    it("Should cancel a transaction the speed-up did not get mined", async function () {
+      const { chain, manager } = createChain({
+        onBlock: chain => chain.sent.filter(tx => tx.to === WALLET).forEach(tx => chain.mine(tx))
+      });
+
+      const result = await manager.send(REQUEST);
+
+      expect(result.status).to.equal("cancelled");
+      expect(result.attempts.map(attempt => attempt.kind)).to.deep.equal(["original", "speed-up", "cancel"]);
+      const cancel = chain.sent[2];
+      expect(cancel).to.include({ to: WALLET, value: 0n, data: "0x", gasLimit: 21000n, nonce: 7 });
+      expect(cancel.gasPrice).to.be.gt(chain.sent[1].gasPrice);
+    });
+
+    it("Should report a nonce used by another transaction as replaced", async function () {
+      const { manager } = createChain({
+        onBlock: chain => {
+          if (chain.sent.length > 0) chain.minedNonce = 8;
+        }
+      });
+
+      const result = await manager.send(REQUEST);
+
+      expect(result.status).to.equal("replaced");
+      expect(result.receipt).to.be.null;
+    });
+
+    it("Should give up a dropped transaction and take its nonce again", async function () {
+      // The node forgets the first transaction after a few blocks without mining it
+      let forgetting = true;
+      const { chain, manager } = createChain({
+        onBlock: chain => {
+          if (!forgetting) mineAll(chain);
+          else if (chain.block >= 105) chain.pendingNonce = chain.minedNonce;
+        }
+      });
+
+      const dropped = await manager.send(REQUEST);
+      expect(dropped.status).to.equal("dropped");
+      expect(dropped.blocksPending).to.be.gte(10);
+      expect(manager.nextNonce).to.equal(7);
+
+      forgetting = false;
+      const next = await manager.send(REQUEST);
+      expect(next.status).to.equal("included");
+      expect(next.nonce).to.equal(7);
+      expect(manager.nextNonce).to.equal(8);
+    });
+  });
+});
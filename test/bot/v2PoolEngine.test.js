@@ -0,0 +1,62 @@
+import { expect } from "chai";
+import { V2PoolEngine } from "../../src/bot/utils/v2PoolEngine.js";
+import { DEX_CONFIGS } from "../../src/bot/config/dexConfig.js";
+
+const WEI = 10n ** 18n;
+
+describe("V2PoolEngine", function () {
+  // 1 WBNB into a 1,000 WBNB / 600,000 USDT pair; outputs are what each router's getAmountsOut returns
+  // (PancakeSwap 9975/10000, Biswap 999/1000, ApeSwap 998/1000, MDEX 997/1000)
+  const reserveIn = 1000n * WEI;
+  const reserveOut = 600000n * WEI;
+  const cases = [
+    ["BISWAP", 10n, 598801797004792212579n],
+    ["APESWAP", 20n, 598202993412574250897n],
+    ["PANCAKESWAP_V2", 25n, 597903591167810109415n],
+    ["MDEX", 30n, 597604188623941929895n]
+  ];
+
+  describe("Fees", function () {
+    for (const [dexName, feeBps] of cases) {
+      it(`Should read ${dexName}'s fee as ${feeBps} basis points`, async function () {
+        expect(new V2PoolEngine(null, DEX_CONFIGS).getFeeBps(dexName)).to.equal(feeBps);
+      });
+    }
+
+    it("Should refuse a DEX that is not V2", async function () {
+      expect(() => new V2PoolEngine(null, DEX_CONFIGS).getFeeBps("PANCAKESWAP_V3")).to.throw("PANCAKESWAP_V3 is not a V2 DEX");
+    });
+  });
+
+  describe("Swap math", function () {
+    for (const [dexName, feeBps, expected] of cases) {
+      it(`Should match ${dexName}'s router at ${feeBps} basis points`, async function () {
+        expect(V2PoolEngine.getAmountOut(WEI, reserveIn, reserveOut, feeBps)).to.equal(expected);
+      });
+    }
+
+    it("Should return nothing for an empty input or an empty pair", async function () {
+      expect(V2PoolEngine.getAmountOut(0n, reserveIn, reserveOut, 25n)).to.equal(0n);
+      expect(V2PoolEngine.getAmountOut(WEI, 0n, reserveOut, 25n)).to.equal(0n);
+    });
+
+    it("Should report the price impact of a trade a tenth of the pool's depth", async function () {
+      const result = V2PoolEngine.simulate(100n * WEI, reserveIn, reserveOut, 25n);
+
+      expect(result.amountOut).to.equal(54421459422596044555580n);
+      expect(result.spotPrice.toNumber()).to.equal(598.5);
+      expect(result.executionPrice.toNumber()).to.be.closeTo(544.2146, 0.0001);
+      // 1 - 544.2146 / 598.5
+      expect(result.priceImpact).to.be.closeTo(9.0703, 0.0001);
+      // The next unit gets 600 * 0.9975 / (1 + 0.09975)^2
+      expect(result.marginalPrice.toNumber()).to.be.closeTo(598.5 / 1.09975 ** 2, 1e-9);
+    });
+
+    it("Should report no impact for an empty trade", async function () {
+      const result = V2PoolEngine.simulate(0n, reserveIn, reserveOut, 25n);
+
+      expect(result.priceImpact).to.equal(0);
+      expect(result.executionPrice.eq(result.spotPrice)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createRequire } from "module";
+import { V3PoolSimulator } from "../../src/bot/utils/v3PoolSimulator.js";
+
+// hardhat is CommonJS, so its runtime fields are not named exports
+const { ethers } = hre;
+const require = createRequire(import.meta.url);
+
+const FACTORY = require("@uniswap/v3-core/artifacts/contracts/UniswapV3Factory.sol/UniswapV3Factory.json");
+const POOL = require("@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json");
+const POSITION_MANAGER = require("@uniswap/v3-periphery/artifacts/contracts/NonfungiblePositionManager.sol/NonfungiblePositionManager.json");
+const QUOTER_V2 = require("@uniswap/v3-periphery/artifacts/contracts/lens/QuoterV2.sol/QuoterV2.json");
+
+const FEE = 3000;
+const Q96 = 2n ** 96n;
+
+describe("V3PoolSimulator", function () {
+  // A real Uniswap V3 pool with overlapping positions, so larger swaps cross initialized ticks
+  async function deployPoolFixture() {
+    const [owner] = await ethers.getSigners();
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const tokenA = await TestToken.deploy("Token A", "TKA");
+    const tokenB = await TestToken.deploy("Token B", "TKB");
+    const [token0, token1] = [tokenA, tokenB].sort((a, b) => (BigInt(a.target) < BigInt(b.target) ? -1 : 1));
+
+    const factory = await new ethers.ContractFactory(FACTORY.abi, FACTORY.bytecode, owner).deploy();
+    await factory.createPool(token0.target, token1.target, FEE);
+    const pool = new ethers.Contract(await factory.getPool(token0.target, token1.target, FEE), POOL.abi, owner);
+    await pool.initialize(Q96); // Price 1, tick 0
+
+    // WETH9 and the token descriptor are never used by minting or quoting
+    const positionManager = await new ethers.ContractFactory(POSITION_MANAGER.abi, POSITION_MANAGER.bytecode, owner)
+      .deploy(factory.target, owner.address, owner.address);
+    const quoter = await new ethers.ContractFactory(QUOTER_V2.abi, QUOTER_V2.bytecode, owner)
+      .deploy(factory.target, owner.address);
+
+    const supply = ethers.parseEther("1000000");
+    for (const token of [token0, token1]) {
+      await token.mint(owner.address, supply);
+      await token.approve(positionManager.target, supply);
+    }
+
+    const deposit = ethers.parseEther("1000");
+    for (const [tickLower, tickUpper] of [[-600, 600], [-3000, -60], [120, 2400], [60, 300], [-6000, 6000], [-1200, -300]]) {
+      await positionManager.mint({
+        token0: token0.target,
+        token1: token1.target,
+        fee: FEE,
+        tickLower,
+        tickUpper,
+        amount0Desired: deposit,
+        amount1Desired: deposit,
+        amount0Min: 0,
+        amount1Min: 0,
+        recipient: owner.address,
+        deadline: ethers.MaxUint256
+      });
+    }
+
+    return { pool, quoter, token0, token1 };
+  }
+
+  /**
+   * Record the pool the way serializeState writes it: every bitmap word the positions touch
+   */
+  async function recordPoolState(pool) {
+    const [slot0, liquidity, tickSpacing, token0, token1] = await Promise.all([
+      pool.slot0(), pool.liquidity(), pool.tickSpacing(), pool.token0(), pool.token1()
+    ]);
+
+    const bitmap = {};
+    const ticks = {};
+    for (let wordPos = -2; wordPos <= 1; wordPos++) {
+      const word = await pool.tickBitmap(wordPos);
+      bitmap[wordPos] = word.toString();
+      for (let bitPos = 0; bitPos < 256; bitPos++) {
+        if ((word >> BigInt(bitPos)) & 1n) {
+          const tick = ((wordPos << 8) + bitPos) * Number(tickSpacing);
+          ticks[tick] = (await pool.ticks(tick)).liquidityNet.toString();
+        }
+      }
+    }
+
+    return JSON.parse(JSON.stringify({
+      address: pool.target,
+      token0,
+      token1,
+      fee: FEE,
+      tickSpacing: Number(tickSpacing),
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      tick: Number(slot0.tick),
+      liquidity: liquidity.toString(),
+      bitmap,
+      ticks,
+      blockNumber: null
+    }));
+  }
+
+  async function compareWithQuoter(direction) {
+    const { pool, quoter, token0, token1 } = await loadFixture(deployPoolFixture);
+    const [tokenIn, tokenOut] = direction === "zeroForOne" ? [token0, token1] : [token1, token0];
+
+    // The recorded state is all the simulator gets; it never reads the chain
+    const simulator = new V3PoolSimulator(ethers.provider, { stateTimeout: Infinity });
+    simulator.setPoolState(await recordPoolState(pool));
+
+    let ticksCrossed = 0;
+    for (const amount of ["0.000001", "1", "50", "400", "900"]) {
+      const amountIn = ethers.parseEther(amount);
+      const quoted = await quoter.quoteExactInputSingle.staticCall({
+        tokenIn: tokenIn.target,
+        tokenOut: tokenOut.target,
+        amountIn,
+        fee: FEE,
+        sqrtPriceLimitX96: 0
+      });
+      const simulated = await simulator.quote(pool.target, tokenIn.target, amountIn);
+
+      expect(simulated.amountOut, `${amount} ${direction}`).to.equal(quoted.amountOut);
+      expect(simulated.sqrtPriceX96After, `${amount} ${direction}`).to.equal(quoted.sqrtPriceX96After);
+      expect(simulated.ticksCrossed, `${amount} ${direction}`).to.equal(Number(quoted.initializedTicksCrossed));
+      ticksCrossed = Math.max(ticksCrossed, simulated.ticksCrossed);
+    }
+    return ticksCrossed;
+  }
+
+  describe("QuoterV2 parity", function () {
+    it("Should match QuoterV2 to the wei selling token0", async function () {
+      expect(await compareWithQuoter("zeroForOne")).to.be.gte(2);
+    });
+
+    it("Should match QuoterV2 to the wei selling token1", async function () {
+      expect(await compareWithQuoter("oneForZero")).to.be.gte(2);
+    });
+  });
+
+  describe("Recorded state", function () {
+    it("Should round-trip a pool state through serializeState", async function () {
+      const { pool } = await loadFixture(deployPoolFixture);
+      const simulator = new V3PoolSimulator(ethers.provider, { stateTimeout: Infinity });
+      const state = simulator.setPoolState(await recordPoolState(pool));
+
+      const restored = V3PoolSimulator.deserializeState(JSON.parse(JSON.stringify(V3PoolSimulator.serializeState(state))));
+      expect(restored.sqrtPriceX96).to.equal(state.sqrtPriceX96);
+      expect(restored.liquidity).to.equal(state.liquidity);
+      expect([...restored.ticks]).to.deep.equal([...state.ticks]);
+      expect([...restored.bitmap]).to.deep.equal([...state.bitmap]);
+    });
+  });
+});